@@ -0,0 +1,199 @@
+/**
+ * bindings.js - Which keys trigger which actions
+ *
+ * Every action has a list of keys. A key is a KeyboardEvent.code, optionally
+ * with modifiers in front ("KeyA", "Ctrl+KeyR", "Shift+F2"); codes name
+ * physical keys, so the defaults sit in the same place on AZERTY and QWERTY.
+ *
+ *   GAMEPLAY actions (left, right, up, down, action) are held, not pressed,
+ *   and feed InputSystem. Their keys never have modifiers, so holding Shift
+ *   doesn't stop you from walking.
+ *
+ *   META actions (pause, restart, level select, ...) fire on key down and are
+ *   matched with their exact modifiers.
+ *
+ * Only actions changed from DEFAULTS are saved (SaveSystem setting
+ * `bindings`, action -> keys), so new actions and changed defaults reach
+ * existing players.
+ */
+
+const Bindings = {
+    GAMEPLAY: ['left', 'right', 'up', 'down', 'action'],
+    META: ['pause', 'advance', 'restart', 'loops', 'replay', 'editor', 'controls', 'camera',
+        'level1', 'level2', 'level3', 'level4'],
+
+    LABELS: {
+        left: 'Move left',
+        right: 'Move right',
+        up: 'Jump',
+        down: 'Down',
+        action: 'Pick up / drop',
+        pause: 'Pause',
+        advance: 'Continue',
+        restart: 'Restart level',
+        loops: 'Loop manager',
+        replay: 'Watch replay',
+        editor: 'Editor / playtest',
+        controls: 'Controls',
+        camera: 'Zoom out / follow',
+        level1: 'Level 1',
+        level2: 'Level 2',
+        level3: 'Level 3',
+        level4: 'Level 4'
+    },
+
+    DEFAULTS: {
+        left: ['ArrowLeft', 'KeyA'],
+        right: ['ArrowRight', 'KeyD'],
+        up: ['ArrowUp', 'KeyW'],
+        down: ['ArrowDown', 'KeyS'],
+        action: ['Space', 'KeyE'],
+        pause: ['Escape'],
+        advance: ['Enter'],
+        restart: ['Ctrl+KeyR'],
+        loops: ['KeyL'],
+        replay: ['KeyV'],
+        editor: ['F2'],
+        controls: ['KeyO'],
+        camera: ['KeyZ'],
+        level1: ['Ctrl+Digit1'],
+        level2: ['Ctrl+Digit2'],
+        level3: ['Ctrl+Digit3'],
+        level4: ['Ctrl+Digit4']
+    },
+
+    MODIFIERS: ['Ctrl', 'Alt', 'Shift'],
+
+    keys: {},               // action -> keys in effect
+
+    /**
+     * Load bindings from save data on top of the defaults
+     */
+    init() {
+        this.keys = deepClone(this.DEFAULTS);
+
+        const saved = SaveSystem.getSetting('bindings');
+        for (const action of Object.keys(saved)) {
+            if (action in this.DEFAULTS) {
+                this.keys[action] = saved[action].filter(key => this.isValidKey(action, key));
+            }
+        }
+    },
+
+    /**
+     * Persist every action that differs from its defaults
+     */
+    save() {
+        const changed = {};
+        for (const action of Object.keys(this.keys)) {
+            if (this.keys[action].join() !== this.DEFAULTS[action].join()) {
+                changed[action] = this.keys[action].slice();
+            }
+        }
+        SaveSystem.setSetting('bindings', changed);
+    },
+
+    /**
+     * Key string for a keyboard event, modifiers first
+     */
+    fromEvent(e) {
+        const parts = [];
+        if (e.ctrlKey || e.metaKey) parts.push('Ctrl');
+        if (e.altKey) parts.push('Alt');
+        if (e.shiftKey) parts.push('Shift');
+        parts.push(e.code);
+        return parts.join('+');
+    },
+
+    /**
+     * Gameplay keys are bare codes; meta keys may carry modifiers
+     */
+    isValidKey(action, key) {
+        if (typeof key !== 'string' || key === '') return false;
+
+        const parts = key.split('+');
+        const code = parts.pop();
+        if (this.MODIFIERS.includes(code)) return false;
+        if (this.GAMEPLAY.includes(action)) return parts.length === 0;
+        return parts.every(part => this.MODIFIERS.includes(part));
+    },
+
+    /**
+     * Gameplay action a key code is bound to
+     * @returns {string|null}
+     */
+    getGameplayAction(code) {
+        return this.GAMEPLAY.find(action => this.keys[action].includes(code)) || null;
+    },
+
+    /**
+     * Meta action triggered by a key down event (exact modifiers)
+     * @returns {string|null}
+     */
+    getMetaAction(e) {
+        const key = this.fromEvent(e);
+        return this.META.find(action => this.keys[action].includes(key)) || null;
+    },
+
+    /**
+     * Actions other than `action` that already use a key
+     */
+    findConflicts(action, key) {
+        return Object.keys(this.keys).filter(other =>
+            other !== action && this.keys[other].includes(key)
+        );
+    },
+
+    /**
+     * Bind a key to an action, taking it away from any action that had it
+     * @returns {string[]} Actions the key was taken from
+     */
+    addKey(action, key) {
+        if (!this.isValidKey(action, key)) {
+            throw new Error(`${this.describe(key)} can't be used for ${this.LABELS[action]}`);
+        }
+
+        const conflicts = this.findConflicts(action, key);
+        for (const other of conflicts) {
+            this.keys[other] = this.keys[other].filter(k => k !== key);
+        }
+
+        if (!this.keys[action].includes(key)) {
+            this.keys[action].push(key);
+        }
+
+        this.save();
+        return conflicts;
+    },
+
+    removeKey(action, key) {
+        this.keys[action] = this.keys[action].filter(k => k !== key);
+        this.save();
+    },
+
+    resetDefaults() {
+        this.keys = deepClone(this.DEFAULTS);
+        this.save();
+    },
+
+    /**
+     * Readable name of the first key of an action, for on-screen hints
+     */
+    describeAction(action) {
+        const key = this.keys[action][0];
+        return key ? this.describe(key) : '(unbound)';
+    },
+
+    /**
+     * Readable name of a key, e.g. "Ctrl+R", "←", "Space"
+     */
+    describe(key) {
+        const arrows = { ArrowLeft: '←', ArrowRight: '→', ArrowUp: '↑', ArrowDown: '↓' };
+
+        return key.split('+').map(part => arrows[part] || part
+            .replace(/^Key/, '')
+            .replace(/^Digit/, '')
+            .replace(/^Numpad(\d)$/, 'Num $1')
+        ).join('+');
+    }
+};
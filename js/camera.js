@@ -0,0 +1,107 @@
+/**
+ * camera.js - Which part of the world is on screen
+ *
+ * Presentation only: the camera reads the simulation and never changes it,
+ * so it may ease and smooth per frame without affecting determinism.
+ *
+ * FOLLOW (default): the view tracks the player. The player moves freely
+ * inside a deadzone box around the centre of the screen, and the view leads
+ * in the direction they face (look-ahead) so they see where they're going.
+ * The view never shows past the edges of the world; a world smaller than
+ * the screen is centred.
+ *
+ * OVERVIEW: zoomed out to fit the whole world, to keep an eye on ghosts all
+ * over the map. Worlds that fit the screen are shown at full size.
+ *
+ * A view is { x, y, scale }: the world point at the top-left of the canvas
+ * and the number of screen pixels per world pixel (see Renderer.applyView).
+ */
+
+const Camera = {
+    mode: 'follow',         // 'follow' | 'overview'
+    centerX: 0,             // World point at the centre of the screen (follow mode)
+    centerY: 0,
+    lookAhead: 0,           // Current horizontal lead, eased toward CONFIG.CAMERA_LOOKAHEAD
+
+    // Share of the remaining look-ahead covered per tick's worth of time
+    LOOKAHEAD_EASING: 0.05,
+
+    toggleOverview() {
+        this.mode = this.mode === 'overview' ? 'follow' : 'overview';
+    },
+
+    /**
+     * Jump straight to a body (new level, restart, new loop)
+     */
+    reset(target) {
+        this.lookAhead = 0;
+        if (target) {
+            this.centerX = target.x + target.width / 2;
+            this.centerY = target.y + target.height / 2;
+        }
+    },
+
+    /**
+     * Move the view after a frame
+     * @param {Object} target - Body to follow (the player)
+     * @param {number} deltaTime - Real milliseconds since the last frame
+     */
+    update(target, deltaTime) {
+        if (!target) return;
+
+        // Lead where the target is heading; ease so turning doesn't jerk the view
+        if (target.vx !== 0) {
+            const goal = target.facingRight ? CONFIG.CAMERA_LOOKAHEAD : -CONFIG.CAMERA_LOOKAHEAD;
+            const easing = 1 - Math.pow(1 - this.LOOKAHEAD_EASING, deltaTime / CONFIG.TICK_DURATION);
+            this.lookAhead += (goal - this.lookAhead) * easing;
+        }
+
+        const focusX = target.x + target.width / 2 + this.lookAhead;
+        const focusY = target.y + target.height / 2;
+        const halfWidth = CONFIG.CAMERA_DEADZONE_WIDTH / 2;
+        const halfHeight = CONFIG.CAMERA_DEADZONE_HEIGHT / 2;
+
+        this.centerX = clamp(this.centerX, focusX - halfWidth, focusX + halfWidth);
+        this.centerY = clamp(this.centerY, focusY - halfHeight, focusY + halfHeight);
+    },
+
+    /**
+     * The view to draw with
+     * @param {{width: number, height: number}} world - World size (see Levels.getWorldSize)
+     * @returns {{x: number, y: number, scale: number}}
+     */
+    getView(world) {
+        if (this.mode === 'overview') {
+            return this.fit(world);
+        }
+
+        return {
+            x: this.clampAxis(this.centerX - CONFIG.CANVAS_WIDTH / 2, CONFIG.CANVAS_WIDTH, world.width),
+            y: this.clampAxis(this.centerY - CONFIG.CANVAS_HEIGHT / 2, CONFIG.CANVAS_HEIGHT, world.height),
+            scale: 1
+        };
+    },
+
+    /**
+     * A view showing the whole world, centred (never zoomed in)
+     */
+    fit(world) {
+        const scale = Math.min(1, CONFIG.CANVAS_WIDTH / world.width, CONFIG.CANVAS_HEIGHT / world.height);
+
+        return {
+            x: (world.width - CONFIG.CANVAS_WIDTH / scale) / 2,
+            y: (world.height - CONFIG.CANVAS_HEIGHT / scale) / 2,
+            scale: scale
+        };
+    },
+
+    /**
+     * Keep one axis of the view inside the world, centring when it's smaller
+     */
+    clampAxis(start, viewSize, worldSize) {
+        if (worldSize <= viewSize) {
+            return (worldSize - viewSize) / 2;
+        }
+        return clamp(start, 0, worldSize - viewSize);
+    }
+};
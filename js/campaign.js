@@ -0,0 +1,124 @@
+/**
+ * campaign.js - Level progression, unlocks and best results
+ *
+ * The campaign walks through Levels.data in order. Clearing a level unlocks
+ * the next one and records the best loop count and best total ticks for it
+ * (tracked separately: the fewest loops and the fastest run may come from
+ * different attempts). Progress is persisted through SaveSystem.
+ */
+
+const Campaign = {
+    levelIndex: 0,          // Index into Levels.data of the level being played
+    unlocked: {},           // level id -> true (the first level is always unlocked)
+    bests: {},              // level id -> { loops, ticks }
+    cleared: {},            // level id -> result of the latest clear this session
+
+    /**
+     * Restore unlocks and bests from save data
+     */
+    restore(saveData) {
+        this.unlocked = Object.assign({}, saveData.unlocked);
+        this.bests = deepClone(saveData.bests);
+    },
+
+    /**
+     * Check if a level can be played
+     */
+    isUnlocked(index) {
+        const def = Levels.data[index];
+        return Boolean(def) && (index === 0 || this.unlocked[def.id] === true);
+    },
+
+    /**
+     * Make a level playable
+     */
+    unlock(index) {
+        const def = Levels.data[index];
+        if (def) {
+            this.unlocked[def.id] = true;
+            SaveSystem.unlock(def.id);
+        }
+    },
+
+    /**
+     * Make a level current
+     * @param {number} index - Index into Levels.data
+     * @returns {Object|null} A fresh copy of the level, or null if locked
+     */
+    selectLevel(index) {
+        if (!this.isUnlocked(index)) {
+            return null;
+        }
+        this.levelIndex = index;
+        return Levels.getLevel(index);
+    },
+
+    /**
+     * Check if there is a level after the current one
+     */
+    hasNextLevel() {
+        return this.levelIndex + 1 < Levels.getLevelCount();
+    },
+
+    /**
+     * Advance to the next level (must have been unlocked by a clear)
+     * @returns {Object|null} The next level, or null at the end of the campaign
+     */
+    nextLevel() {
+        if (!this.hasNextLevel()) {
+            return null;
+        }
+        return this.selectLevel(this.levelIndex + 1);
+    },
+
+    /**
+     * Record a clear of the current level
+     * @param {number} loops - Loops used, including the winning one
+     * @param {number} totalTicks - Ticks of the kept loops (Simulation.getTotalTicks)
+     * @param {Recording[]} recordings - Every loop of the winning run
+     * @returns {LevelResult} Stats for the results screen
+     */
+    completeLevel(loops, totalTicks, recordings) {
+        const def = Levels.data[this.levelIndex];
+        const previous = this.bests[def.id];
+
+        const best = previous
+            ? { loops: Math.min(previous.loops, loops), ticks: Math.min(previous.ticks, totalTicks) }
+            : { loops: loops, ticks: totalTicks };
+
+        const isNewBest = !previous || loops < previous.loops || totalTicks < previous.ticks;
+        this.bests[def.id] = best;
+        SaveSystem.recordClear(def, loops, totalTicks, recordings);
+
+        this.unlock(this.levelIndex + 1);
+
+        const result = {
+            levelIndex: this.levelIndex,
+            levelId: def.id,
+            levelName: def.name,
+            loops: loops,
+            totalTicks: totalTicks,
+            best: best,
+            isNewBest: isNewBest,
+            isFinal: !this.hasNextLevel()
+        };
+
+        this.cleared[def.id] = result;
+        return result;
+    },
+
+    /**
+     * Totals for the campaign completion screen
+     */
+    getSummary() {
+        const results = Levels.data
+            .map(def => this.cleared[def.id])
+            .filter(Boolean);
+
+        return {
+            levels: results,
+            totalLoops: results.reduce((sum, r) => sum + r.loops, 0),
+            totalTicks: results.reduce((sum, r) => sum + r.totalTicks, 0)
+        };
+    }
+};
@@ -0,0 +1,162 @@
+/**
+ * controls-panel.js - Rebinding screen for Bindings
+ *
+ * Lists every action with its keys. Click a key to unbind it, "+" to bind
+ * another (the next key pressed, with modifiers for meta actions; Escape
+ * cancels). A key already used elsewhere moves to the new action and the
+ * panel says where it came from, warning when that leaves an action with no
+ * key at all. The game is paused while the panel is open.
+ */
+
+const ControlsPanel = {
+    active: false,
+    capturing: null,        // Action waiting for a key, or null
+    wasPaused: false,
+
+    /**
+     * Look up panel elements and bind controls
+     */
+    init() {
+        this.panelElement = document.getElementById('controls-panel');
+        this.listElement = document.getElementById('controls-list');
+        this.statusElement = document.getElementById('controls-status');
+
+        document.getElementById('controls-reset').addEventListener('click', () => {
+            Bindings.resetDefaults();
+            this.setStatus('Controls reset to defaults');
+            this.refresh();
+        });
+        document.getElementById('controls-close').addEventListener('click', () => this.close());
+
+        this.listElement.addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-action]');
+            if (!button) return;
+
+            if (button.dataset.key) {
+                Bindings.removeKey(button.dataset.action, button.dataset.key);
+                this.warnIfUnbound(button.dataset.action);
+            } else {
+                this.capturing = button.dataset.action;
+                this.setStatus(`Press a key for ${Bindings.LABELS[this.capturing]} (Escape cancels)`);
+            }
+            this.refresh();
+        });
+
+        // Capture phase, so a key being bound never reaches the game
+        window.addEventListener('keydown', (e) => this.active && this.onKeyDown(e), true);
+    },
+
+    open() {
+        if (this.active) return;
+
+        this.active = true;
+        this.wasPaused = Game.isPaused;
+        Game.isPaused = true;
+        InputSystem.reset();
+
+        this.panelElement.classList.add('show');
+        this.setStatus('');
+        this.refresh();
+    },
+
+    close() {
+        if (!this.active) return;
+
+        this.active = false;
+        this.capturing = null;
+        this.panelElement.classList.remove('show');
+
+        Game.isPaused = this.wasPaused;
+        Game.lastTime = performance.now();
+        Game.accumulator = 0;
+    },
+
+    toggle() {
+        if (this.active) {
+            this.close();
+        } else {
+            this.open();
+        }
+    },
+
+    onKeyDown(e) {
+        if (!this.capturing) {
+            if (e.code === 'Escape' || Bindings.getMetaAction(e) === 'controls') {
+                e.preventDefault();
+                e.stopImmediatePropagation();
+                this.close();
+            }
+            return;
+        }
+
+        e.preventDefault();
+        e.stopImmediatePropagation();
+
+        // Wait for the key itself when only a modifier is down
+        if (['Control', 'Alt', 'Shift', 'Meta'].includes(e.key)) return;
+
+        const action = this.capturing;
+        this.capturing = null;
+
+        if (e.code === 'Escape') {
+            this.setStatus('');
+        } else {
+            const key = Bindings.GAMEPLAY.includes(action) ? e.code : Bindings.fromEvent(e);
+            try {
+                const taken = Bindings.addKey(action, key);
+                this.setStatus(taken.length > 0
+                    ? `${Bindings.describe(key)} moved from ${taken.map(a => Bindings.LABELS[a]).join(', ')}`
+                    : '');
+                taken.forEach(other => this.warnIfUnbound(other));
+            } catch (err) {
+                this.setStatus(err.message);
+            }
+        }
+
+        this.refresh();
+    },
+
+    /**
+     * Append a warning when an action has no key left
+     */
+    warnIfUnbound(action) {
+        if (Bindings.keys[action].length === 0) {
+            const warning = `${Bindings.LABELS[action]} has no key`;
+            this.setStatus(this.statusElement.textContent ? `${this.statusElement.textContent}. ${warning}` : warning);
+        }
+    },
+
+    setStatus(text) {
+        this.statusElement.textContent = text;
+    },
+
+    /**
+     * Rebuild the action list
+     */
+    refresh() {
+        this.listElement.innerHTML = '';
+
+        for (const action of [...Bindings.GAMEPLAY, ...Bindings.META]) {
+            const dt = document.createElement('dt');
+            const dd = document.createElement('dd');
+            dt.textContent = Bindings.LABELS[action];
+
+            for (const key of Bindings.keys[action]) {
+                const button = document.createElement('button');
+                button.textContent = Bindings.describe(key);
+                button.title = 'Click to unbind';
+                button.dataset.action = action;
+                button.dataset.key = key;
+                dd.append(button);
+            }
+
+            const add = document.createElement('button');
+            add.textContent = this.capturing === action ? '…' : '+';
+            add.title = 'Bind another key';
+            add.dataset.action = action;
+            dd.append(add);
+
+            this.listElement.append(dt, dd);
+        }
+    }
+};
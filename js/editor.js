@@ -0,0 +1,845 @@
+/**
+ * editor.js - In-game level editor
+ *
+ * The editor works directly on a level definition in the Levels.data shape
+ * and draws it with the regular Renderer, so what you see is what Game will
+ * build from it. While the editor is open Game's frame loop is stopped and
+ * the editor owns the canvas; Playtest hands a copy of the level back to Game.
+ *
+ * TOOLS:
+ * - select: click to select, drag to move, drag the corner handle to resize
+ *           (walls, goals; doors resize vertically), drag laser endpoints
+ * - wall / laser / platform: drag out a rectangle / beam
+ *   (with a platform selected, P adds a waypoint at the pointer, Shift+P
+ *   removes the last one; waypoints can be dragged)
+ * - door / switch / goal / crate / spawn: click to place
+ * - link: drag from a switch to a door (or to empty space to unlink)
+ *
+ * Positions snap to the grid unless snapping is turned off. The whole world
+ * is shown at once, zoomed out when the level is larger than the canvas; its
+ * size is set in the toolbar. The status line counts validation problems and
+ * lint warnings (see level-lint.js); Lint lists them.
+ */
+
+const Editor = {
+    active: false,
+    level: null,            // Level being edited (Levels.data shape)
+
+    tool: 'select',
+    snap: true,
+    gridSize: 16,
+    handleSize: 8,
+
+    selected: null,         // Index into level.entities, 'spawn', or null
+    drag: null,             // Current mouse drag, see onMouseDown
+    pointer: { x: 0, y: 0 },
+
+    canvas: null,
+    view: { x: 0, y: 0, scale: 1 },     // Camera.fit of the level's world
+
+    /**
+     * Look up editor elements and bind mouse/keyboard handlers
+     */
+    init(canvas) {
+        this.canvas = canvas;
+        this.toolbarElement = document.getElementById('editor-toolbar');
+        this.statusElement = document.getElementById('editor-status');
+        this.outputElement = document.getElementById('editor-output');
+        this.snapElement = document.getElementById('editor-snap');
+
+        for (const button of this.toolbarElement.querySelectorAll('[data-tool]')) {
+            button.addEventListener('click', () => this.setTool(button.dataset.tool));
+        }
+
+        this.snap = SaveSystem.getSetting('editorSnap');
+        this.snapElement.checked = this.snap;
+        this.snapElement.addEventListener('change', () => {
+            this.snap = this.snapElement.checked;
+            SaveSystem.setSetting('editorSnap', this.snap);
+        });
+        document.getElementById('editor-new').addEventListener('click', () => this.newLevel());
+        document.getElementById('editor-playtest').addEventListener('click', () => this.playtest());
+        document.getElementById('editor-export').addEventListener('click', () => this.exportLevel());
+        document.getElementById('editor-lint').addEventListener('click', () => this.showLint());
+        document.getElementById('editor-save').addEventListener('click', () => this.saveFile());
+
+        this.worldWidthElement = document.getElementById('editor-world-width');
+        this.worldHeightElement = document.getElementById('editor-world-height');
+        this.worldWidthElement.addEventListener('change', () => this.setWorldSize());
+        this.worldHeightElement.addEventListener('change', () => this.setWorldSize());
+
+        canvas.addEventListener('mousedown', (e) => this.active && this.onMouseDown(e));
+        window.addEventListener('mousemove', (e) => this.active && this.onMouseMove(e));
+        window.addEventListener('mouseup', (e) => this.active && this.onMouseUp(e));
+        window.addEventListener('keydown', (e) => this.active && this.onKeyDown(e));
+    },
+
+    // ═══════════════════════════════════════════════════════════
+    // MODE SWITCHING
+    // ═══════════════════════════════════════════════════════════
+
+    /**
+     * Open the editor
+     * Returning from a playtest keeps the edited level; otherwise editing
+     * starts from a copy of the level currently loaded in Game.
+     */
+    open() {
+        if (this.active) return;
+
+        if (!this.level || !Game.isPlaytest) {
+            this.level = deepClone(Game.currentLevel);
+            this.selected = null;
+        }
+
+        Game.stop();
+        Screens.hide();
+
+        this.active = true;
+        this.drag = null;
+        this.toolbarElement.classList.add('show');
+        document.getElementById('game-container').classList.add('editing');
+
+        this.updateWorldInputs();
+        this.updateStatus();
+        requestAnimationFrame(() => this.render());
+    },
+
+    /**
+     * Close the editor without starting the game
+     */
+    close() {
+        this.active = false;
+        this.drag = null;
+        this.toolbarElement.classList.remove('show');
+        this.outputElement.classList.remove('show');
+        document.getElementById('game-container').classList.remove('editing');
+    },
+
+    /**
+     * Play the edited level in Game, without reloading the page
+     */
+    playtest() {
+        this.close();
+        Game.loadLevel(deepClone(this.level), true);
+        Game.start();
+    },
+
+    /**
+     * Start over from an empty level with just a floor
+     */
+    newLevel() {
+        this.level = {
+            id: 'custom-level',
+            name: 'Custom Level',
+            spawnPoint: { x: 48, y: 528 },
+            entities: [
+                { type: 'wall', x: 0, y: 568, width: CONFIG.CANVAS_WIDTH, height: 32 }
+            ]
+        };
+        this.selected = null;
+        this.updateWorldInputs();
+        this.updateStatus();
+    },
+
+    /**
+     * Resize the world from the toolbar inputs; the canvas size is the
+     * default, so it isn't written to the level
+     */
+    setWorldSize() {
+        const width = Math.round(Number(this.worldWidthElement.value));
+        const height = Math.round(Number(this.worldHeightElement.value));
+
+        if (!(width > 0 && height > 0)) {
+            this.updateWorldInputs();
+            return;
+        }
+
+        if (width === CONFIG.CANVAS_WIDTH && height === CONFIG.CANVAS_HEIGHT) {
+            delete this.level.world;
+        } else {
+            this.level.world = { width: width, height: height };
+        }
+        this.updateWorldInputs();
+        this.updateStatus();
+    },
+
+    updateWorldInputs() {
+        const world = Levels.getWorldSize(this.level);
+        this.worldWidthElement.value = world.width;
+        this.worldHeightElement.value = world.height;
+    },
+
+    /**
+     * Select the active tool
+     */
+    setTool(tool) {
+        this.tool = tool;
+        this.drag = null;
+
+        for (const button of this.toolbarElement.querySelectorAll('[data-tool]')) {
+            button.classList.toggle('active', button.dataset.tool === tool);
+        }
+    },
+
+    // ═══════════════════════════════════════════════════════════
+    // EXPORT
+    // ═══════════════════════════════════════════════════════════
+
+    /**
+     * Show the level in the Levels.data shape (and copy it if possible)
+     */
+    exportLevel() {
+        const text = JSON.stringify(this.level, null, 4);
+
+        this.outputElement.value = text;
+        this.outputElement.classList.add('show');
+        this.outputElement.select();
+
+        if (navigator.clipboard) {
+            navigator.clipboard.writeText(text).catch(() => {});
+        }
+    },
+
+    /**
+     * Download the level as a level file (see level-format.js)
+     */
+    saveFile() {
+        const blob = new Blob([LevelFormat.stringify(this.level)], { type: 'application/json' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = `${this.level.id}.json`;
+        link.click();
+        URL.revokeObjectURL(link.href);
+    },
+
+    /**
+     * Show the lint report (see level-lint.js) in the output box
+     */
+    showLint() {
+        const findings = LevelLint.lint(this.level);
+
+        this.outputElement.value = findings.length > 0 ? LevelLint.format(findings) : 'No problems found';
+        this.outputElement.classList.add('show');
+    },
+
+    /**
+     * Show entity count, validation problems and lint warnings
+     */
+    updateStatus() {
+        const findings = LevelLint.lint(this.level);
+        const errors = findings.filter(f => f.severity === 'error').length;
+        const warnings = findings.length - errors;
+
+        let summary = errors === 0 ? 'valid' : `${errors} problem(s)`;
+        if (warnings > 0) summary += ` · ${warnings} warning(s)`;
+
+        this.statusElement.textContent = `${this.level.entities.length} entities · ${summary}`;
+        this.statusElement.title = LevelLint.format(findings);
+        this.statusElement.classList.toggle('invalid', errors > 0);
+    },
+
+    // ═══════════════════════════════════════════════════════════
+    // GEOMETRY HELPERS
+    // ═══════════════════════════════════════════════════════════
+
+    /**
+     * Bounding box of an entity definition (lasers have none)
+     */
+    getBox(def) {
+        switch (def.type) {
+            case 'wall':
+                return { x: def.x, y: def.y, width: def.width, height: def.height };
+            case 'switch':
+                return { x: def.x, y: def.y, width: CONFIG.SWITCH_SIZE, height: CONFIG.SWITCH_SIZE / 2 };
+            case 'door':
+                return { x: def.x, y: def.y, width: CONFIG.DOOR_WIDTH, height: def.height || CONFIG.DOOR_HEIGHT };
+            case 'goal':
+                return { x: def.x, y: def.y, width: def.width || 48, height: def.height || 48 };
+            case 'crate':
+                return { x: def.x, y: def.y, width: CONFIG.CRATE_SIZE, height: CONFIG.CRATE_SIZE };
+            case 'platform':
+                return { x: def.x, y: def.y, width: def.width, height: def.height };
+            default:
+                return null;
+        }
+    },
+
+    /**
+     * Bounding box of the spawn point (player sized)
+     */
+    getSpawnBox() {
+        const spawn = this.level.spawnPoint;
+        return { x: spawn.x, y: spawn.y, width: CONFIG.PLAYER_WIDTH, height: CONFIG.PLAYER_HEIGHT };
+    },
+
+    /**
+     * Resize handle at the bottom-right corner of a resizable entity
+     */
+    getHandle(def) {
+        if (def.type !== 'wall' && def.type !== 'goal' && def.type !== 'door' && def.type !== 'platform') {
+            return null;
+        }
+
+        const box = this.getBox(def);
+        return {
+            x: box.x + box.width - this.handleSize / 2,
+            y: box.y + box.height - this.handleSize / 2,
+            width: this.handleSize,
+            height: this.handleSize
+        };
+    },
+
+    /**
+     * Round a coordinate to the grid when snapping is on
+     */
+    snapValue(value) {
+        return this.snap ? Math.round(value / this.gridSize) * this.gridSize : Math.round(value);
+    },
+
+    /**
+     * Convert a mouse event to world coordinates
+     */
+    toWorld(e) {
+        const rect = this.canvas.getBoundingClientRect();
+        return {
+            x: (e.clientX - rect.left) * this.canvas.width / rect.width / this.view.scale + this.view.x,
+            y: (e.clientY - rect.top) * this.canvas.height / rect.height / this.view.scale + this.view.y
+        };
+    },
+
+    /**
+     * Distance from a point to a line segment
+     */
+    distanceToSegment(px, py, x1, y1, x2, y2) {
+        const dx = x2 - x1;
+        const dy = y2 - y1;
+        const lengthSq = dx * dx + dy * dy;
+        const t = lengthSq === 0 ? 0 : clamp(((px - x1) * dx + (py - y1) * dy) / lengthSq, 0, 1);
+        return Math.hypot(px - (x1 + t * dx), py - (y1 + t * dy));
+    },
+
+    /**
+     * Find the topmost entity under a point
+     * @returns {number} Index into level.entities, or -1
+     */
+    hitTest(x, y) {
+        const entities = this.level.entities;
+
+        for (let i = entities.length - 1; i >= 0; i--) {
+            const def = entities[i];
+            if (def.type === 'laser') {
+                if (this.distanceToSegment(x, y, def.x1, def.y1, def.x2, def.y2) <= 6) return i;
+            } else if (pointInRect(x, y, this.getBox(def))) {
+                return i;
+            }
+        }
+        return -1;
+    },
+
+    /**
+     * Give a door a link index if it has none
+     */
+    ensureDoorIndex(door) {
+        if (door.linkedIndex === undefined) {
+            const used = this.level.entities
+                .filter(def => def.type === 'door' && def.linkedIndex !== undefined)
+                .map(def => def.linkedIndex);
+            door.linkedIndex = used.length > 0 ? Math.max(...used) + 1 : 0;
+        }
+        return door.linkedIndex;
+    },
+
+    // ═══════════════════════════════════════════════════════════
+    // MOUSE & KEYBOARD
+    // ═══════════════════════════════════════════════════════════
+
+    onMouseDown(e) {
+        const p = this.toWorld(e);
+        const x = this.snapValue(p.x);
+        const y = this.snapValue(p.y);
+        this.pointer = p;
+
+        switch (this.tool) {
+            case 'select':
+                this.beginSelectDrag(p);
+                break;
+
+            case 'wall':
+            case 'laser':
+            case 'platform':
+                this.drag = { kind: 'create', x1: x, y1: y, x2: x, y2: y };
+                break;
+
+            case 'door':
+                this.addEntity({ type: 'door', x: x, y: y, height: CONFIG.DOOR_HEIGHT });
+                break;
+
+            case 'switch':
+                this.addEntity({ type: 'switch', x: x, y: y });
+                break;
+
+            case 'goal':
+                this.addEntity({ type: 'goal', x: x, y: y, width: 48, height: 48 });
+                break;
+
+            case 'crate':
+                this.addEntity({ type: 'crate', x: x, y: y });
+                break;
+
+            case 'spawn':
+                this.level.spawnPoint = { x: x, y: y };
+                this.selected = 'spawn';
+                break;
+
+            case 'link': {
+                const index = this.hitTest(p.x, p.y);
+                if (index >= 0 && this.level.entities[index].type === 'switch') {
+                    this.selected = index;
+                    this.drag = { kind: 'link', from: index };
+                }
+                break;
+            }
+        }
+
+        this.updateStatus();
+    },
+
+    /**
+     * Start moving, resizing or dragging an endpoint under the pointer
+     */
+    beginSelectDrag(p) {
+        // Handles of the current selection take priority
+        if (typeof this.selected === 'number') {
+            const def = this.level.entities[this.selected];
+            const handle = this.getHandle(def);
+
+            if (handle && pointInRect(p.x, p.y, handle)) {
+                this.drag = { kind: 'resize', index: this.selected };
+                return;
+            }
+            if (def.type === 'laser') {
+                for (const end of [1, 2]) {
+                    if (Math.hypot(p.x - def[`x${end}`], p.y - def[`y${end}`]) <= 8) {
+                        this.drag = { kind: 'endpoint', index: this.selected, end: end };
+                        return;
+                    }
+                }
+            }
+            if (def.type === 'platform') {
+                const point = (def.path || []).findIndex(q => Math.hypot(p.x - q.x, p.y - q.y) <= 8);
+                if (point >= 0) {
+                    this.drag = { kind: 'waypoint', index: this.selected, point: point };
+                    return;
+                }
+            }
+        }
+
+        if (pointInRect(p.x, p.y, this.getSpawnBox())) {
+            const spawn = this.level.spawnPoint;
+            this.selected = 'spawn';
+            this.drag = { kind: 'move-spawn', dx: p.x - spawn.x, dy: p.y - spawn.y };
+            return;
+        }
+
+        const index = this.hitTest(p.x, p.y);
+        this.selected = index >= 0 ? index : null;
+        if (index < 0) return;
+
+        const def = this.level.entities[index];
+        const origin = def.type === 'laser' ? { x: def.x1, y: def.y1 } : def;
+        this.drag = { kind: 'move', index: index, dx: p.x - origin.x, dy: p.y - origin.y };
+    },
+
+    onMouseMove(e) {
+        const p = this.toWorld(e);
+        this.pointer = p;
+        if (!this.drag) return;
+
+        const drag = this.drag;
+        const x = this.snapValue(p.x);
+        const y = this.snapValue(p.y);
+
+        switch (drag.kind) {
+            case 'create':
+                drag.x2 = x;
+                drag.y2 = y;
+                break;
+
+            case 'move': {
+                const def = this.level.entities[drag.index];
+                const nx = this.snapValue(p.x - drag.dx);
+                const ny = this.snapValue(p.y - drag.dy);
+
+                if (def.type === 'laser') {
+                    def.x2 += nx - def.x1;
+                    def.y2 += ny - def.y1;
+                    def.x1 = nx;
+                    def.y1 = ny;
+                } else if (def.type === 'platform') {
+                    // The path moves with the platform
+                    for (const point of def.path || []) {
+                        point.x += nx - def.x;
+                        point.y += ny - def.y;
+                    }
+                    def.x = nx;
+                    def.y = ny;
+                } else {
+                    def.x = nx;
+                    def.y = ny;
+                }
+                break;
+            }
+
+            case 'move-spawn':
+                this.level.spawnPoint = {
+                    x: this.snapValue(p.x - drag.dx),
+                    y: this.snapValue(p.y - drag.dy)
+                };
+                break;
+
+            case 'resize': {
+                const def = this.level.entities[drag.index];
+                def.height = Math.max(this.gridSize, y - def.y);
+                if (def.type !== 'door') {
+                    def.width = Math.max(this.gridSize, x - def.x);
+                }
+                break;
+            }
+
+            case 'endpoint': {
+                const def = this.level.entities[drag.index];
+                def[`x${drag.end}`] = x;
+                def[`y${drag.end}`] = y;
+                break;
+            }
+
+            case 'waypoint': {
+                const def = this.level.entities[drag.index];
+                def.path[drag.point] = { x: x, y: y };
+                break;
+            }
+        }
+    },
+
+    onMouseUp(e) {
+        const drag = this.drag;
+        this.drag = null;
+        if (!drag) return;
+
+        const p = this.toWorld(e);
+
+        if (drag.kind === 'create') {
+            this.finishCreate(drag);
+        } else if (drag.kind === 'link') {
+            const sw = this.level.entities[drag.from];
+            const index = this.hitTest(p.x, p.y);
+            const target = index >= 0 ? this.level.entities[index] : null;
+
+            if (target && target.type === 'door') {
+                sw.linkedDoorIndex = this.ensureDoorIndex(target);
+            } else {
+                delete sw.linkedDoorIndex;
+            }
+        }
+
+        this.updateStatus();
+    },
+
+    /**
+     * Add the wall, platform or laser dragged out with a create drag
+     */
+    finishCreate(drag) {
+        if (this.tool === 'laser') {
+            if (drag.x1 !== drag.x2 || drag.y1 !== drag.y2) {
+                this.addEntity({ type: 'laser', x1: drag.x1, y1: drag.y1, x2: drag.x2, y2: drag.y2 });
+            }
+            return;
+        }
+
+        const x = Math.min(drag.x1, drag.x2);
+        const y = Math.min(drag.y1, drag.y2);
+        const width = Math.abs(drag.x2 - drag.x1);
+        const height = Math.abs(drag.y2 - drag.y1);
+
+        if (width > 0 && height > 0) {
+            this.addEntity({ type: this.tool, x: x, y: y, width: width, height: height });
+            if (this.tool === 'platform') {
+                this.addWaypoint(this.level.entities[this.selected], x, Math.max(0, y - this.gridSize * 8));
+            }
+        }
+    },
+
+    onKeyDown(e) {
+        switch (e.code) {
+            case 'Delete':
+            case 'Backspace':
+                if (typeof this.selected === 'number' && e.target.tagName !== 'TEXTAREA') {
+                    e.preventDefault();
+                    this.deleteEntity(this.selected);
+                }
+                break;
+
+            case 'Escape':
+                this.drag = null;
+                this.selected = null;
+                this.outputElement.classList.remove('show');
+                break;
+
+            case 'KeyP': {
+                const def = typeof this.selected === 'number' ? this.level.entities[this.selected] : null;
+                if (!def || def.type !== 'platform' || e.target.tagName === 'TEXTAREA') break;
+
+                if (e.shiftKey) {
+                    (def.path || []).pop();
+                } else {
+                    this.addWaypoint(def, this.snapValue(this.pointer.x), this.snapValue(this.pointer.y));
+                }
+                this.updateStatus();
+                break;
+            }
+        }
+    },
+
+    /**
+     * Append a waypoint to a platform's path
+     */
+    addWaypoint(def, x, y) {
+        def.path = def.path || [];
+        def.path.push({ x: x, y: y });
+    },
+
+    /**
+     * Append an entity definition and select it
+     */
+    addEntity(def) {
+        this.level.entities.push(def);
+        this.selected = this.level.entities.length - 1;
+    },
+
+    /**
+     * Remove an entity definition, unlinking switches from a removed door
+     */
+    deleteEntity(index) {
+        const [def] = this.level.entities.splice(index, 1);
+
+        if (def.type === 'door' && def.linkedIndex !== undefined) {
+            for (const other of this.level.entities) {
+                if (other.type === 'switch' && other.linkedDoorIndex === def.linkedIndex) {
+                    delete other.linkedDoorIndex;
+                }
+            }
+        }
+
+        this.selected = null;
+        this.updateStatus();
+    },
+
+    // ═══════════════════════════════════════════════════════════
+    // RENDERING
+    // ═══════════════════════════════════════════════════════════
+
+    /**
+     * Editor frame: the level as Game would build it, plus editor overlays
+     */
+    render() {
+        if (!this.active) return;
+
+        Renderer.clear();
+
+        const ctx = Renderer.ctx;
+        this.view = Camera.fit(Levels.getWorldSize(this.level));
+        ctx.save();
+        Renderer.applyView(this.view);
+        this.renderGrid();
+
+        // Same entities a loop would start with (doors closed, lasers on)
+        const entities = Levels.createEntities(this.level);
+        for (const entity of entities) {
+            Renderer.renderEntity(entity);
+        }
+        for (const entity of entities) {
+            if (entity.type === 'laser') Renderer.renderLaser(entity);
+        }
+
+        this.renderLinks();
+        this.renderPaths();
+        this.renderSpawn();
+        this.renderSelection();
+        this.renderDragPreview();
+        ctx.restore();
+
+        requestAnimationFrame(() => this.render());
+    },
+
+    renderGrid() {
+        const ctx = Renderer.ctx;
+        const world = Levels.getWorldSize(this.level);
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.05)';
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+
+        for (let x = 0; x <= world.width; x += this.gridSize) {
+            ctx.moveTo(x + 0.5, 0);
+            ctx.lineTo(x + 0.5, world.height);
+        }
+        for (let y = 0; y <= world.height; y += this.gridSize) {
+            ctx.moveTo(0, y + 0.5);
+            ctx.lineTo(world.width, y + 0.5);
+        }
+
+        ctx.stroke();
+
+        // Edge of the world
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.3)';
+        ctx.strokeRect(0, 0, world.width, world.height);
+    },
+
+    /**
+     * Dashed lines from each switch to the door it opens
+     */
+    renderLinks() {
+        const ctx = Renderer.ctx;
+        const entities = this.level.entities;
+
+        ctx.strokeStyle = CONFIG.COLORS.switch_on;
+        ctx.lineWidth = 1;
+        ctx.setLineDash([6, 4]);
+        ctx.beginPath();
+
+        for (const sw of entities) {
+            if (sw.type !== 'switch' || sw.linkedDoorIndex === undefined) continue;
+
+            const door = entities.find(d => d.type === 'door' && d.linkedIndex === sw.linkedDoorIndex);
+            if (!door) continue;
+
+            const a = this.getBox(sw);
+            const b = this.getBox(door);
+            ctx.moveTo(a.x + a.width / 2, a.y + a.height / 2);
+            ctx.lineTo(b.x + b.width / 2, b.y + b.height / 2);
+        }
+
+        ctx.stroke();
+        ctx.setLineDash([]);
+    },
+
+    /**
+     * Dashed route and waypoint outlines of every platform
+     */
+    renderPaths() {
+        const ctx = Renderer.ctx;
+
+        ctx.strokeStyle = CONFIG.COLORS.platform_edge;
+        ctx.fillStyle = CONFIG.COLORS.platform_edge;
+        ctx.lineWidth = 1;
+
+        for (const def of this.level.entities) {
+            if (def.type !== 'platform' || !def.path || def.path.length === 0) continue;
+
+            const route = [{ x: def.x, y: def.y }, ...def.path];
+            if (def.loop) route.push(route[0]);
+
+            ctx.setLineDash([6, 4]);
+            ctx.beginPath();
+            ctx.moveTo(route[0].x, route[0].y);
+            for (const point of route.slice(1)) {
+                ctx.lineTo(point.x, point.y);
+            }
+            ctx.stroke();
+
+            ctx.setLineDash([2, 4]);
+            for (const point of def.path) {
+                ctx.strokeRect(point.x, point.y, def.width, def.height);
+                ctx.fillRect(point.x - 3, point.y - 3, 6, 6);
+            }
+        }
+
+        ctx.setLineDash([]);
+    },
+
+    renderSpawn() {
+        const ctx = Renderer.ctx;
+        const box = this.getSpawnBox();
+
+        ctx.strokeStyle = CONFIG.COLORS.player;
+        ctx.lineWidth = 2;
+        ctx.setLineDash([4, 4]);
+        ctx.strokeRect(box.x, box.y, box.width, box.height);
+        ctx.setLineDash([]);
+
+        ctx.fillStyle = CONFIG.COLORS.player;
+        ctx.font = '10px monospace';
+        ctx.textAlign = 'center';
+        ctx.fillText('SPAWN', box.x + box.width / 2, box.y - 4);
+    },
+
+    /**
+     * Outline the selection and draw its handles
+     */
+    renderSelection() {
+        if (this.selected === null) return;
+
+        const ctx = Renderer.ctx;
+        ctx.strokeStyle = '#ffffff';
+        ctx.fillStyle = '#ffffff';
+        ctx.lineWidth = 1;
+
+        if (this.selected === 'spawn') {
+            const box = this.getSpawnBox();
+            ctx.strokeRect(box.x - 2, box.y - 2, box.width + 4, box.height + 4);
+            return;
+        }
+
+        const def = this.level.entities[this.selected];
+        if (!def) return;
+
+        if (def.type === 'laser') {
+            for (const end of [1, 2]) {
+                ctx.fillRect(def[`x${end}`] - 4, def[`y${end}`] - 4, 8, 8);
+            }
+            return;
+        }
+
+        const box = this.getBox(def);
+        ctx.strokeRect(box.x - 2, box.y - 2, box.width + 4, box.height + 4);
+
+        const handle = this.getHandle(def);
+        if (handle) {
+            ctx.fillRect(handle.x, handle.y, handle.width, handle.height);
+        }
+    },
+
+    /**
+     * Preview of the wall, laser or link being dragged out
+     */
+    renderDragPreview() {
+        const drag = this.drag;
+        if (!drag) return;
+
+        const ctx = Renderer.ctx;
+        ctx.setLineDash([4, 4]);
+        ctx.lineWidth = 2;
+
+        if (drag.kind === 'create' && (this.tool === 'wall' || this.tool === 'platform')) {
+            ctx.strokeStyle = '#ffffff';
+            ctx.strokeRect(
+                Math.min(drag.x1, drag.x2), Math.min(drag.y1, drag.y2),
+                Math.abs(drag.x2 - drag.x1), Math.abs(drag.y2 - drag.y1)
+            );
+        } else if (drag.kind === 'create' && this.tool === 'laser') {
+            ctx.strokeStyle = CONFIG.COLORS.laser;
+            ctx.beginPath();
+            ctx.moveTo(drag.x1, drag.y1);
+            ctx.lineTo(drag.x2, drag.y2);
+            ctx.stroke();
+        } else if (drag.kind === 'link') {
+            const box = this.getBox(this.level.entities[drag.from]);
+            ctx.strokeStyle = CONFIG.COLORS.switch_on;
+            ctx.beginPath();
+            ctx.moveTo(box.x + box.width / 2, box.y + box.height / 2);
+            ctx.lineTo(this.pointer.x, this.pointer.y);
+            ctx.stroke();
+        }
+
+        ctx.setLineDash([]);
+    }
+};
@@ -17,7 +17,13 @@ const Entities = {
             height: CONFIG.PLAYER_HEIGHT,
             grounded: false,
             facingRight: true,
-            isActive: true
+            isActive: true,
+            isDead: false,
+            carrying: null,     // Crate held overhead
+            wasAction: false,   // Action input last tick (pick up/drop is edge-triggered)
+            coyoteTicks: 0,     // Ticks left to jump after leaving the ground (see Physics.applyInput)
+            jumpBuffer: 0,      // Ticks left for a jump pressed in the air to trigger
+            jumping: false      // Rising from a jump that releasing up can still cut short
         };
     },
 
@@ -36,6 +42,13 @@ const Entities = {
             grounded: false,
             facingRight: true,
             isActive: true,
+            isDead: false,
+            carrying: null,
+            wasAction: false,
+            coyoteTicks: 0,
+            jumpBuffer: 0,
+            jumping: false,
+            paradox: null,      // { tick, x, y } once the ghost leaves its recorded path
             recording: recording
         };
     },
@@ -59,7 +72,7 @@ const Entities = {
     createSwitch(x, y, linkedIds = []) {
         return {
             type: 'switch',
-            id: generateId(),
+            id: null,           // Set by Levels.createEntities
             x: x,
             y: y,
             width: CONFIG.SWITCH_SIZE,
@@ -75,7 +88,7 @@ const Entities = {
     createDoor(x, y, height = CONFIG.DOOR_HEIGHT, initiallyOpen = false) {
         return {
             type: 'door',
-            id: generateId(),
+            id: null,           // Set by Levels.createEntities
             x: x,
             y: y,
             width: CONFIG.DOOR_WIDTH,
@@ -91,16 +104,111 @@ const Entities = {
     createLaser(x1, y1, x2, y2, linkedIds = []) {
         return {
             type: 'laser',
-            id: generateId(),
+            id: null,           // Set by Levels.createEntities
             x1: x1,
             y1: y1,
             x2: x2,
             y2: y2,
+            isOn: true,
             isBlocked: false,
             linkedIds: linkedIds
         };
     },
 
+    /**
+     * Create a moving platform
+     *
+     * The platform travels along its route (its start position followed by
+     * the path waypoints, all top-left corners) at `speed` pixels per tick
+     * while powered: back and forth, or round and round when `loop` is set.
+     * Its position depends only on how many powered ticks have passed this
+     * loop, so ghosts always meet it in the same place. Distances are in
+     * fixed point (see Fixed), so that place is the same in every browser.
+     */
+    createPlatform(x, y, width, height, path = [], speed = CONFIG.PLATFORM_SPEED, loop = false) {
+        const route = [{ x: x, y: y }, ...path.map(p => ({ x: p.x, y: p.y }))];
+        if (loop && route.length > 1) {
+            route.push({ x: x, y: y });
+        }
+
+        const segments = [];
+        for (let i = 1; i < route.length; i++) {
+            segments.push(Fixed.length(route[i].x - route[i - 1].x, route[i].y - route[i - 1].y));
+        }
+        const length = segments.reduce((sum, segment) => sum + segment, 0);
+
+        return {
+            type: 'platform',
+            id: null,           // Set by Levels.createEntities
+            x: x,
+            y: y,
+            width: width,
+            height: height,
+            route: route,
+            segments: segments, // Length of each leg of the route
+            length: length,     // Route length in pixels
+            speed: Fixed.snap(speed),
+            loop: loop,
+            distance: 0,        // How far along the route the platform is
+            direction: 1,       // 1 outbound, -1 on the way back (back-and-forth routes)
+            isPowered: true,
+            dx: 0,              // Movement this tick
+            dy: 0
+        };
+    },
+
+    /**
+     * Move a powered platform one tick along its route
+     */
+    advancePlatform(platform) {
+        const oldX = platform.x;
+        const oldY = platform.y;
+
+        if (platform.isPowered && platform.length > 0) {
+            let distance = platform.distance + platform.speed * platform.direction;
+
+            if (platform.loop) {
+                distance %= platform.length;
+            } else if (distance >= platform.length) {
+                distance = platform.length * 2 - distance;
+                platform.direction = -1;
+            } else if (distance <= 0) {
+                distance = -distance;
+                platform.direction = 1;
+            }
+
+            platform.distance = distance;
+            const point = this.getRoutePoint(platform, distance);
+            platform.x = point.x;
+            platform.y = point.y;
+        }
+
+        platform.dx = platform.x - oldX;
+        platform.dy = platform.y - oldY;
+    },
+
+    /**
+     * Point a given distance along a platform's route
+     */
+    getRoutePoint(platform, distance) {
+        const route = platform.route;
+
+        for (let i = 1; i < route.length; i++) {
+            const a = route[i - 1];
+            const b = route[i];
+            const segment = platform.segments[i - 1];
+
+            if (distance <= segment && segment > 0) {
+                return {
+                    x: a.x + Fixed.mulDiv(b.x - a.x, distance, segment),
+                    y: a.y + Fixed.mulDiv(b.y - a.y, distance, segment)
+                };
+            }
+            distance -= segment;
+        }
+        return route[route.length - 1];
+    },
+
     /**
      * Create a goal entity
      */
@@ -116,48 +224,163 @@ const Entities = {
     },
 
     /**
-     * Update switch state based on entities standing on it
+     * Create a crate entity
      */
-    updateSwitch(sw, solidEntities) {
+    createCrate(x, y) {
+        return {
+            type: 'crate',
+            id: null,           // Set by Levels.createEntities
+            x: x,
+            y: y,
+            vx: 0,
+            vy: 0,
+            width: CONFIG.CRATE_SIZE,
+            height: CONFIG.CRATE_SIZE,
+            grounded: false,
+            heldBy: null        // Player or ghost carrying it
+        };
+    },
+
+    /**
+     * Check if a body is close enough to grab a crate
+     */
+    canReach(body, crate) {
+        return aabbOverlap({
+            x: body.x - CONFIG.CRATE_REACH,
+            y: body.y - CONFIG.CRATE_REACH,
+            width: body.width + CONFIG.CRATE_REACH * 2,
+            height: body.height + CONFIG.CRATE_REACH * 2
+        }, crate);
+    },
+
+    /**
+     * Lift a crate overhead
+     */
+    pickUpCrate(body, crate) {
+        body.carrying = crate;
+        crate.heldBy = body;
+        crate.vx = 0;
+        crate.vy = 0;
+        this.holdCrate(body);
+    },
+
+    /**
+     * Keep a carried crate centered above its holder
+     */
+    holdCrate(body) {
+        const crate = body.carrying;
+        crate.x = body.x + (body.width - crate.width) / 2;
+        crate.y = body.y - crate.height;
+    },
+
+    /**
+     * Let go of the carried crate where it is (it falls from there)
+     * @returns {Object|null} The crate, if one was carried
+     */
+    releaseCrate(body) {
+        const crate = body.carrying;
+        if (!crate) return null;
+
+        body.carrying = null;
+        crate.heldBy = null;
+        crate.grounded = false;
+        return crate;
+    },
+
+    /**
+     * Update switch state based on what is resting on it
+     * @param {Object} sw - The switch
+     * @param {Object[]} pressers - Active bodies and loose crates
+     */
+    updateSwitch(sw, pressers) {
         const wasPressed = sw.isPressed;
 
-        // Check if any entity is overlapping the switch
-        sw.isPressed = solidEntities.some(entity =>
-            entity.isActive && aabbOverlap(entity, sw)
-        );
+        // Check if anything is overlapping the switch
+        sw.isPressed = pressers.some(entity => aabbOverlap(entity, sw));
 
         // Return true if state changed (for sound effects, etc.)
         return wasPressed !== sw.isPressed;
     },
 
     /**
-     * Update door state based on linked switches
+     * Drive a receiver (door, laser, platform) with its signal value for this tick
      */
-    updateDoor(door, allEntities) {
-        const linkedSwitches = allEntities.filter(e =>
-            e.type === 'switch' && e.linkedIds.includes(door.id)
-        );
+    receiveSignal(entity, value) {
+        switch (entity.type) {
+            case 'door':
+                entity.isOpen = value;
+                break;
+            case 'laser':
+                entity.isOn = value;
+                break;
+            case 'platform':
+                entity.isPowered = value;
+                break;
+        }
+    },
 
-        if (linkedSwitches.length === 0) {
-            // No linked switches, stay at initial state
-            door.isOpen = door.initiallyOpen;
-        } else {
-            // Open if ANY linked switch is pressed
-            door.isOpen = linkedSwitches.some(sw => sw.isPressed);
+    /**
+     * Update laser state and find the bodies caught in its beam
+     *
+     * A switched-off laser has no beam. A beam is blocked by anything lying
+     * across it (e.g. the body of a ghost that already died there). An
+     * unblocked beam is lethal: every active body
+     * touching it is returned so the caller can kill it.
+     *
+     * @param {Object} laser - The laser entity
+     * @param {Object[]} blockers - Entities that stop the beam
+     * @param {Object[]} bodies - Player and ghosts that can be hit
+     * @returns {Object[]} Active bodies touching the live beam
+     */
+    updateLaser(laser, blockers, bodies) {
+        if (!laser.isOn) {
+            laser.isBlocked = false;
+            return [];
+        }
+
+        laser.isBlocked = blockers.some(entity => this.isOnBeam(laser, entity));
+        if (laser.isBlocked) {
+            return [];
         }
+
+        return bodies.filter(entity => entity.isActive && this.isOnBeam(laser, entity));
+    },
+
+    /**
+     * Bounding box of a laser's beam, for the broadphase
+     */
+    getBeamBox(laser) {
+        return {
+            laser: laser,
+            x: Math.min(laser.x1, laser.x2),
+            y: Math.min(laser.y1, laser.y2),
+            width: Math.abs(laser.x2 - laser.x1),
+            height: Math.abs(laser.y2 - laser.y1)
+        };
+    },
+
+    /**
+     * Check if an entity's box touches a laser's beam
+     */
+    isOnBeam(laser, entity) {
+        return lineIntersectsRect(
+            laser.x1, laser.y1, laser.x2, laser.y2,
+            entity
+        );
     },
 
     /**
-     * Update laser state based on entities blocking it
+     * Kill a player or ghost
+     * The body stops moving and stays where it fell (isDead), but no longer
+     * takes input or interacts with the world (isActive). A carried crate is
+     * dropped where it is.
      */
-    updateLaser(laser, solidEntities) {
-        laser.isBlocked = solidEntities.some(entity => {
-            if (!entity.isActive) return false;
-            return lineIntersectsRect(
-                laser.x1, laser.y1, laser.x2, laser.y2,
-                entity
-            );
-        });
+    kill(entity) {
+        this.releaseCrate(entity);
+        entity.isActive = false;
+        entity.isDead = true;
+        entity.vx = 0;
+        entity.vy = 0;
     },
 
     /**
@@ -172,6 +395,7 @@ const Entities = {
                 entity.isOpen = entity.initiallyOpen;
                 break;
             case 'laser':
+                entity.isOn = true;
                 entity.isBlocked = false;
                 break;
             case 'goal':
@@ -34,30 +34,25 @@
  * - Ghosts read the same tick-indexed input array
  * - No time-based calculations (only tick counts)
  * - Consistent entity update order every tick
+ * - Fixed-point math and seeded entity ids (see Fixed in utils.js), so a
+ *   replay gives the same Simulation.hashState() in every browser
  * 
  * LOOP BOUNDARIES:
  * - START: localTick = 0, player/ghosts at spawn, world reset
  * - END: localTick >= LOOP_TICKS (1200) OR player reaches goal
  * - RESET: Recording finalized, ghost created, localTick = 0
+ *
+ * The simulation itself lives in simulation.js (no DOM, no timers). Game is
+ * the browser wrapper: it owns the frame loop, samples InputSystem once per
+ * tick, forwards it to Simulation.tick() and presents the result.
  */
 
 const Game = {
     // ═══════════════════════════════════════════════════════════
-    // SIMULATION STATE (modified only in update(), never in render)
+    // SIMULATION STATE (modified only in simulationTick(), never in render)
     // ═══════════════════════════════════════════════════════════
 
-    globalTick: 0,      // Total ticks since game start (never resets)
-    localTick: 0,       // Current tick within loop [0..LOOP_TICKS-1]
-    loopIndex: 1,       // Current loop number (1, 2, 3...)
-
-    // Entities (state changes only in update())
-    player: null,
-    ghosts: [],
-    entities: [],
-
-    // Replay system
-    currentRecording: null,
-    recordings: [],
+    sim: null,          // Headless simulation (see simulation.js)
 
     // Level data
     currentLevel: null,
@@ -72,7 +67,7 @@ const Game = {
     // Control flags
     isRunning: false,
     isPaused: false,
-    levelComplete: false,
+    isPlaytest: false,  // Playing a level from the editor, outside the campaign
 
     // UI elements (updated per-tick for consistency)
     timerElement: null,
@@ -86,14 +81,31 @@ const Game = {
         this.timerElement = document.getElementById('timer');
         this.loopCounterElement = document.getElementById('loop-counter');
 
-        this.startNewLoop();
+        this.sim = Simulation.create(level);
+        Camera.reset(this.sim.player);
+        this.start();
+    },
+
+    /**
+     * Start (or resume) the frame-driven loop
+     */
+    start() {
+        if (this.isRunning) return;
+
         this.isRunning = true;
         this.lastTime = performance.now();
+        this.accumulator = 0;
 
-        // Start the frame-driven loop
         requestAnimationFrame((time) => this.frameLoop(time));
     },
 
+    /**
+     * Stop the frame loop (e.g. while the editor owns the canvas)
+     */
+    stop() {
+        this.isRunning = false;
+    },
+
     // ═══════════════════════════════════════════════════════════
     // FRAME LOOP (runs at display refresh rate: 30-144+ fps)
     // Only handles timing and calls simulation + render
@@ -111,7 +123,7 @@ const Game = {
         this.lastTime = currentTime;
 
         // Run simulation ticks if not paused
-        if (!this.isPaused && !this.levelComplete) {
+        if (!this.isPaused && !this.sim.levelComplete) {
             this.accumulator += deltaTime;
 
             // Consume accumulated time in fixed-size chunks
@@ -124,7 +136,8 @@ const Game = {
 
         // Render current state (alpha for optional interpolation)
         const alpha = this.accumulator / CONFIG.TICK_DURATION;
-        Renderer.render(this, alpha);
+        Camera.update(this.sim.player, deltaTime);
+        Renderer.render(this.sim, alpha, Camera.getView(this.sim.world));
 
         // Continue frame loop
         requestAnimationFrame((time) => this.frameLoop(time));
@@ -132,125 +145,66 @@ const Game = {
 
     // ═══════════════════════════════════════════════════════════
     // SIMULATION TICK (runs at exactly 60Hz, deterministic)
-    // ALL gameplay logic happens here, NEVER in frameLoop
+    // ALL gameplay logic happens in Simulation.tick, NEVER in frameLoop
     // ═══════════════════════════════════════════════════════════
 
     /**
-     * Single simulation tick - all gameplay logic
-     * Runs at exactly 60 ticks/second regardless of frame rate
-     * 
-     * UPDATE ORDER (critical for determinism):
-     * 1. Capture & record input
-     * 2. Update player
-     * 3. Update ghosts (in spawn order)
-     * 4. Update world entities
-     * 5. Check conditions
-     * 6. Advance tick counter
+     * Single simulation tick
+     * Captures input ONCE, advances the simulation and reacts to its events
      */
     simulationTick() {
-        // ─── 1. INPUT CAPTURE ───────────────────────────────────
-        // Capture input state ONCE at the start of this tick
-        const inputState = InputSystem.getState();
-        ReplaySystem.recordTick(this.currentRecording, this.localTick, inputState);
+        // An event earlier in this frame may have paused the game
+        if (this.sim.levelComplete || this.isPaused) return;
 
-        // ─── 2. PLAYER UPDATE ───────────────────────────────────
-        this.updatePlayer(inputState);
+        const inputState = InputSystem.getState();
+        const events = Simulation.tick(this.sim, inputState);
 
-        // ─── 3. GHOST UPDATES ───────────────────────────────────
-        // Update in spawn order (oldest ghost first) for consistency
-        for (let i = 0; i < this.ghosts.length; i++) {
-            this.updateGhost(this.ghosts[i]);
+        for (const event of events) {
+            this.handleEvent(event);
         }
 
-        // ─── 4. WORLD ENTITY UPDATES ────────────────────────────
-        this.updateWorldEntities();
-
-        // ─── 5. CONDITION CHECKS ────────────────────────────────
-        this.checkWinCondition();
         this.updateUI();
-
-        // ─── 6. TICK ADVANCEMENT ────────────────────────────────
-        this.localTick++;
-        this.globalTick++;
-
-        // ─── 7. LOOP BOUNDARY CHECK ─────────────────────────────
-        if (this.localTick >= CONFIG.LOOP_TICKS) {
-            this.endLoop(false);
-        }
     },
 
     /**
-     * Update player based on input
+     * React to an event raised by the simulation
      */
-    updatePlayer(input) {
-        if (!this.player.isActive) return;
-
-        Physics.applyInput(this.player, input);
-        Physics.applyPhysics(this.player);
-        Physics.resolveCollisions(this.player, this.entities);
-    },
-
-    /**
-     * Update ghost using recorded input
-     */
-    updateGhost(ghost) {
-        if (!ghost.isActive) return;
-
-        // Get recorded input for this tick (deterministic playback)
-        const input = ReplaySystem.getInputAtTick(ghost.recording, this.localTick);
-        if (!input) {
-            ghost.isActive = false;
-            return;
-        }
-
-        Physics.applyInput(ghost, input);
-        Physics.applyPhysics(ghost);
-        Physics.resolveCollisions(ghost, this.entities);
-    },
-
-    /**
-     * Update switches, doors, lasers based on entity positions
-     */
-    updateWorldEntities() {
-        // Get all solid entities (player + active ghosts)
-        const solidEntities = [this.player, ...this.ghosts.filter(g => g.isActive)];
-
-        for (const entity of this.entities) {
-            if (entity.type === 'switch') {
-                Entities.updateSwitch(entity, solidEntities);
-            }
-        }
-
-        // Update doors based on switch states
-        for (const entity of this.entities) {
-            if (entity.type === 'door') {
-                Entities.updateDoor(entity, this.entities);
-            }
-        }
-
-        // Update lasers
-        for (const entity of this.entities) {
-            if (entity.type === 'laser') {
-                Entities.updateLaser(entity, solidEntities);
+    handleEvent(event) {
+        switch (event.type) {
+            case 'death':
+                Renderer.spawnDeathEffect(event.entity);
+                break;
+
+            case 'loop-end':
+                // Everyone is back at the spawn point
+                Camera.reset(this.sim.player);
+                if (event.winRejected) {
+                    LoopManager.explainRejectedWin(event.loopIndex);
+                }
+                break;
+
+            case 'paradox':
+                if (event.mode === 'rerecord') {
+                    LoopManager.offerRerecord(event.ghost.recording, event.tick);
+                }
+                break;
+
+            case 'level-complete': {
+                if (this.isPlaytest) {
+                    Screens.showPlaytestResults(this.currentLevel, event);
+                } else {
+                    Screens.showResults(Campaign.completeLevel(event.loops, event.totalTicks, this.sim.recordings));
+                }
+                break;
             }
         }
     },
 
-    /**
-     * Check if player reached the goal
-     */
-    checkWinCondition() {
-        const goal = this.entities.find(e => e.type === 'goal');
-        if (goal && this.player.isActive && aabbOverlap(this.player, goal)) {
-            this.endLoop(true);
-        }
-    },
-
     /**
      * Update UI elements
      */
     updateUI() {
-        const remainingSeconds = Math.ceil((CONFIG.LOOP_TICKS - this.localTick) / CONFIG.TICK_RATE);
+        const remainingSeconds = Math.ceil((CONFIG.LOOP_TICKS - this.sim.localTick) / CONFIG.TICK_RATE);
         this.timerElement.textContent = remainingSeconds;
 
         // Timer color states
@@ -261,75 +215,109 @@ const Game = {
             this.timerElement.classList.add('warning');
         }
 
-        this.loopCounterElement.textContent = `Loop: ${this.loopIndex}`;
+        this.loopCounterElement.textContent = this.sim.rerecordIndex !== null
+            ? `Re-recording loop ${this.sim.loopIndex}`
+            : `Loop: ${this.sim.loopIndex}`;
     },
 
     /**
-     * Start a new loop
+     * Continue from the results screen: next level, campaign summary, or
+     * back to the first level after the summary
      */
-    startNewLoop() {
-        this.localTick = 0;
-
-        // Create new recording via ReplaySystem
-        this.currentRecording = ReplaySystem.createRecording(this.loopIndex);
-
-        // Reset player
-        this.player = Entities.createPlayer(
-            this.currentLevel.spawnPoint.x,
-            this.currentLevel.spawnPoint.y
-        );
-
-        // Spawn ghosts from all previous recordings
-        this.ghosts = this.recordings.map(recording =>
-            Entities.createGhost(
-                this.currentLevel.spawnPoint.x,
-                this.currentLevel.spawnPoint.y,
-                recording
-            )
-        );
-
-        // Reset world entities
-        this.entities = Levels.createEntities(this.currentLevel);
+    advance() {
+        if (Screens.current === 'playtest-results') {
+            Editor.open();
+        } else if (Screens.current === 'results') {
+            const next = Campaign.nextLevel();
+            if (next) {
+                this.loadLevel(next);
+            } else {
+                Screens.showCampaignComplete(Campaign.getSummary());
+            }
+        } else if (Screens.current === 'campaign-complete') {
+            this.loadLevel(Campaign.selectLevel(0));
+        }
     },
 
     /**
-     * End current loop
+     * Watch the run that just solved the level
      */
-    endLoop(reachedGoal) {
-        // Finalize and store recording
-        ReplaySystem.finalizeRecording(this.currentRecording, this.localTick, reachedGoal);
-        this.recordings.push(this.currentRecording);
-
-        if (reachedGoal) {
-            this.levelComplete = true;
-            // Could trigger next level here
-            console.log(`Level complete in ${this.loopIndex} loop(s)!`);
-        } else {
-            // Start next loop
-            this.loopIndex++;
-            this.startNewLoop();
+    watchReplay() {
+        if (this.sim.levelComplete) {
+            ReplayViewer.open(this.currentLevel, this.sim.recordings);
         }
     },
 
+    /**
+     * Switch to a different level and start it from loop 1
+     * @param {Object} level - Level definition
+     * @param {boolean} [playtest=false] - Played from the editor, not the campaign
+     */
+    loadLevel(level, playtest = false) {
+        this.currentLevel = level;
+        this.isPlaytest = playtest;
+        this.isPaused = false;
+        Screens.hide();
+        this.restartLevel();
+    },
+
     /**
      * Pause/unpause the game
      */
     togglePause() {
+        if (this.sim.levelComplete) return;
+
         this.isPaused = !this.isPaused;
+        Screens.setPaused(this.isPaused);
         if (!this.isPaused) {
             this.lastTime = performance.now();
             this.accumulator = 0;
         }
     },
 
+    /**
+     * Re-record a past loop (see LoopManager)
+     * @param {number} index - 0-based index into sim.recordings
+     */
+    rerecordLoop(index) {
+        Simulation.rerecordLoop(this.sim, index);
+        Camera.reset(this.sim.player);
+        this.accumulator = 0;
+        this.updateUI();
+    },
+
+    /**
+     * Go back to recording a new loop instead of re-recording
+     */
+    cancelRerecord() {
+        Simulation.cancelRerecord(this.sim);
+        Camera.reset(this.sim.player);
+        this.accumulator = 0;
+        this.updateUI();
+    },
+
+    /**
+     * Delete a past loop; the current loop starts over
+     * @param {number} index - 0-based index into sim.recordings
+     */
+    deleteLoop(index) {
+        Simulation.deleteLoop(this.sim, index);
+        Camera.reset(this.sim.player);
+        this.accumulator = 0;
+        this.updateUI();
+    },
+
     /**
      * Restart the current level
      */
     restartLevel() {
-        this.globalTick = 0;
-        this.loopIndex = 1;
-        this.recordings = [];
-        this.levelComplete = false;
-        this.startNewLoop();
+        if (this.sim.levelComplete) {
+            Screens.hide();
+        }
+
+        this.sim = Simulation.create(this.currentLevel);
+        Camera.reset(this.sim.player);
+        this.accumulator = 0;
+        this.updateUI();
     }
 };
@@ -1,29 +1,43 @@
 /**
- * input.js - Keyboard input handling and recording
+ * input.js - Keyboard, gamepad and touch input handling and recording
+ *
+ * Keyboard state is kept up to date by key events; Bindings says which keys
+ * drive which input, so rebinding takes effect on the next tick. Gamepads
+ * have no events for buttons, so they are polled in getState(), which Game
+ * calls exactly once per simulation tick: every pad is read at the same
+ * moment the keyboard state is sampled, and recordings stay tick-exact. All
+ * sources are merged (a button counts as held if any keyboard key or pad
+ * holds it), so recordings don't know or care where input came from.
+ *
+ * GAMEPADS: any number of pads, plugged in or out at any time (every tick
+ * reads whatever navigator.getGamepads() lists). Standard mapping: d-pad to
+ * move, A to jump, B/X to act. The left stick walks once it is tilted past
+ * GAMEPAD_DEADZONE (measured radially) mostly sideways; its vertical axis is
+ * not used, so pushing the stick diagonally never jumps.
+ *
+ * TOUCH: TouchControls keeps the inputs held on its on-screen buttons, merged
+ * here like another pad.
  */
 
 const InputSystem = {
-    // Current keyboard state
-    keys: {
-        left: false,
-        right: false,
-        up: false,
-        down: false,
-        action: false
-    },
+    // Key codes currently held (see Bindings for what they do)
+    pressed: {},
+
+    // Left stick tilts below this distance from the center count as centered
+    GAMEPAD_DEADZONE: 0.3,
+
+    // Share of a stick tilt that must be sideways to walk (cos 60 degrees)
+    GAMEPAD_SIDEWAYS: 0.5,
 
-    // Key mappings
-    keyMap: {
-        'ArrowLeft': 'left',
-        'ArrowRight': 'right',
-        'ArrowUp': 'up',
-        'ArrowDown': 'down',
-        'KeyA': 'left',
-        'KeyD': 'right',
-        'KeyW': 'up',
-        'KeyS': 'down',
-        'Space': 'action',
-        'KeyE': 'action'
+    // Standard gamepad button index -> input
+    gamepadButtonMap: {
+        12: 'up',       // D-pad
+        13: 'down',
+        14: 'left',
+        15: 'right',
+        0: 'up',        // A / Cross: jump
+        1: 'action',    // B / Circle
+        2: 'action'     // X / Square
     },
 
     /**
@@ -35,7 +49,7 @@ const InputSystem = {
 
         // Prevent default for game keys
         window.addEventListener('keydown', (e) => {
-            if (this.keyMap[e.code]) {
+            if (Bindings.getGameplayAction(e.code)) {
                 e.preventDefault();
             }
         });
@@ -45,44 +59,77 @@ const InputSystem = {
      * Handle key press
      */
     handleKeyDown(e) {
-        const action = this.keyMap[e.code];
-        if (action) {
-            this.keys[action] = true;
-        }
+        this.pressed[e.code] = true;
     },
 
     /**
      * Handle key release
      */
     handleKeyUp(e) {
-        const action = this.keyMap[e.code];
-        if (action) {
-            this.keys[action] = false;
-        }
+        delete this.pressed[e.code];
+    },
+
+    /**
+     * Check if any key bound to a gameplay input is held
+     */
+    isHeld(input) {
+        return Bindings.keys[input].some(code => this.pressed[code]);
     },
 
     /**
      * Get current input state (snapshot for recording)
+     * Call once per simulation tick: this is where gamepads are polled.
      */
     getState() {
+        const pads = this.pollGamepads();
+        const touch = TouchControls.getState();
+
         return {
-            left: this.keys.left,
-            right: this.keys.right,
-            up: this.keys.up,
-            down: this.keys.down,
-            action: this.keys.action
+            left: this.isHeld('left') || pads.left || touch.left,
+            right: this.isHeld('right') || pads.right || touch.right,
+            up: this.isHeld('up') || pads.up || touch.up,
+            down: this.isHeld('down') || pads.down || touch.down,
+            action: this.isHeld('action') || pads.action || touch.action
         };
     },
 
     /**
-     * Reset all keys (e.g., when window loses focus)
+     * Read every connected gamepad, merged into one input state
+     */
+    pollGamepads() {
+        const state = { left: false, right: false, up: false, down: false, action: false };
+
+        const pads = typeof navigator !== 'undefined' && navigator.getGamepads
+            ? navigator.getGamepads()
+            : [];
+
+        // Slots of unplugged pads are null
+        for (const pad of pads) {
+            if (!pad || !pad.connected) continue;
+
+            pad.buttons.forEach((button, index) => {
+                const input = this.gamepadButtonMap[index];
+                if (input && button.pressed) {
+                    state[input] = true;
+                }
+            });
+
+            const x = pad.axes[0] || 0;
+            const tilt = Math.hypot(x, pad.axes[1] || 0);
+            if (tilt > this.GAMEPAD_DEADZONE && Math.abs(x) >= tilt * this.GAMEPAD_SIDEWAYS) {
+                state[x < 0 ? 'left' : 'right'] = true;
+            }
+        }
+
+        return state;
+    },
+
+    /**
+     * Reset all keys and touches (e.g., when window loses focus)
      */
     reset() {
-        this.keys.left = false;
-        this.keys.right = false;
-        this.keys.up = false;
-        this.keys.down = false;
-        this.keys.action = false;
+        this.pressed = {};
+        TouchControls.reset();
     }
 };
 
@@ -0,0 +1,529 @@
+/**
+ * level-format.js - JSON level files: format, validation and loading
+ *
+ * A level file is a JSON object in the same shape as an entry of Levels.data,
+ * plus a format version:
+ *
+ *   {
+ *     "version": 1,
+ *     "id": "my-level",
+ *     "name": "My Level",
+ *     "world": { "width": 800, "height": 600 },
+ *     "spawnPoint": { "x": 50, "y": 500 },
+ *     "entities": [
+ *       { "type": "wall", "x": 0, "y": 568, "width": 800, "height": 32 },
+ *       { "type": "switch", "x": 150, "y": 430, "linkedDoorIndex": 0 },
+ *       { "type": "door", "x": 500, "y": 504, "height": 64, "linkedIndex": 0 },
+ *       { "type": "goal", "x": 700, "y": 520 }
+ *     ],
+ *     "logic": [],
+ *     "paradox": "highlight",
+ *     "solidGhosts": false
+ *   }
+ *
+ * ENTITY FIELDS (required | optional):
+ *   wall:   x, y, width, height                 | id
+ *   switch: x, y                                | id, linkedDoorIndex, linkedIds
+ *   door:   x, y                                | id, height, linkedIndex, requiresBoth,
+ *                                               |   initiallyOpen, signal
+ *   laser:  x1, y1, x2, y2                      | id, linkedIds, signal
+ *   goal:   x, y                                | id, width, height
+ *   crate:  x, y                                | id
+ *   platform: x, y, width, height               | id, path, speed, loop, signal
+ *
+ * A platform's `path` is a list of { x, y } waypoints (top-left corners) it
+ * travels to from its start position, at `speed` pixels per tick.
+ *
+ * `logic` holds signal graph nodes, see signals.js for their fields.
+ * `paradox` (optional) is what happens when a ghost leaves its recorded
+ * path: one of PARADOX_MODES, see Simulation.checkParadoxes.
+ * `solidGhosts` (optional) makes the player and ghosts collide with each
+ * other, see Simulation.getSolidBodies.
+ * `jump` (optional) tunes how forgiving jumps are, see Physics.applyInput:
+ * { "coyoteTicks": 5, "bufferTicks": 5, "cut": 0.5 }, each field optional
+ * (defaults from CONFIG). Ticks are whole numbers >= 0; `cut` is in (0, 1].
+ *
+ * `world` (optional) is the size of the play area in pixels; it defaults to
+ * the canvas (CONFIG.CANVAS_WIDTH x CONFIG.CANVAS_HEIGHT), and larger worlds
+ * scroll (see camera.js). All positions are in pixels and every entity must
+ * lie inside the play area.
+ *
+ * validate() never throws: it returns every problem found, each with a path
+ * into the document (e.g. "entities[3].linkedDoorIndex") and a message.
+ */
+
+const LevelFormat = {
+    VERSION: 1,
+
+    PARADOX_MODES: ['highlight', 'fail', 'rerecord'],
+
+    // Field types per entity type: required fields, then optional ones
+    ENTITY_FIELDS: {
+        wall: {
+            required: { x: 'number', y: 'number', width: 'number', height: 'number' },
+            optional: { id: 'string' }
+        },
+        switch: {
+            required: { x: 'number', y: 'number' },
+            optional: { id: 'string', linkedDoorIndex: 'integer', linkedIds: 'string[]' }
+        },
+        door: {
+            required: { x: 'number', y: 'number' },
+            optional: {
+                id: 'string', height: 'number', linkedIndex: 'integer',
+                requiresBoth: 'boolean', initiallyOpen: 'boolean', signal: 'string'
+            }
+        },
+        laser: {
+            required: { x1: 'number', y1: 'number', x2: 'number', y2: 'number' },
+            optional: { id: 'string', linkedIds: 'string[]', signal: 'string' }
+        },
+        goal: {
+            required: { x: 'number', y: 'number' },
+            optional: { id: 'string', width: 'number', height: 'number' }
+        },
+        crate: {
+            required: { x: 'number', y: 'number' },
+            optional: { id: 'string' }
+        },
+        platform: {
+            required: { x: 'number', y: 'number', width: 'number', height: 'number' },
+            optional: { id: 'string', path: 'point[]', speed: 'number', loop: 'boolean', signal: 'string' }
+        }
+    },
+
+    // Input fields per logic node type
+    LOGIC_FIELDS: {
+        and: { inputs: 'string[]' },
+        or: { inputs: 'string[]' },
+        xor: { inputs: 'string[]' },
+        not: { input: 'string' },
+        delay: { input: 'string', ticks: 'integer' },
+        timer: { input: 'string', ticks: 'integer' },
+        latch: { set: 'string', reset: 'string' }
+    },
+
+    /**
+     * Parse and validate a level file
+     * @param {string} text - JSON text
+     * @returns {{level: Object|null, errors: ValidationError[]}}
+     */
+    parse(text) {
+        let doc;
+        try {
+            doc = JSON.parse(text);
+        } catch (e) {
+            return { level: null, errors: [{ path: '', message: `Invalid JSON: ${e.message}` }] };
+        }
+
+        const errors = this.validate(doc);
+        return { level: errors.length === 0 ? this.toLevel(doc) : null, errors: errors };
+    },
+
+    /**
+     * Strip the file envelope, leaving a Levels.data-shaped level
+     */
+    toLevel(doc) {
+        const level = deepClone(doc);
+        delete level.version;
+        return level;
+    },
+
+    /**
+     * Serialize a Levels.data-shaped level as a level file
+     * @returns {string} Pretty-printed JSON
+     */
+    stringify(level) {
+        return JSON.stringify(Object.assign({ version: this.VERSION }, deepClone(level)), null, 2);
+    },
+
+    /**
+     * Validate a Levels.data-shaped level (no version envelope)
+     * @returns {ValidationError[]}
+     */
+    validateLevel(level) {
+        return this.validate(Object.assign({ version: this.VERSION }, level));
+    },
+
+    /**
+     * Validate a parsed level document
+     * @param {*} doc - Parsed JSON
+     * @returns {ValidationError[]} Every problem found (empty if valid)
+     */
+    validate(doc) {
+        const errors = [];
+        const error = (path, message) => errors.push({ path: path, message: message });
+
+        if (!this.isObject(doc)) {
+            error('', 'Level must be a JSON object');
+            return errors;
+        }
+
+        if (doc.version === undefined) {
+            error('version', 'Missing required field');
+        } else if (doc.version !== this.VERSION) {
+            error('version', `Unsupported version ${JSON.stringify(doc.version)} (expected ${this.VERSION})`);
+        }
+
+        if (this.checkField(doc, 'id', 'string', 'id', true, error) &&
+            new TextEncoder().encode(doc.id).length > ReplaySystem.MAX_LEVEL_ID_BYTES) {
+            error('id', `Too long (replays hold at most ${ReplaySystem.MAX_LEVEL_ID_BYTES} bytes)`);
+        }
+        this.checkField(doc, 'name', 'string', 'name', true, error);
+
+        const bounds = this.validateWorld(doc, error);
+
+        if (!this.isObject(doc.spawnPoint)) {
+            error('spawnPoint', doc.spawnPoint === undefined ? 'Missing required field' : 'Expected an object');
+        } else {
+            const hasX = this.checkField(doc.spawnPoint, 'x', 'number', 'spawnPoint.x', true, error);
+            const hasY = this.checkField(doc.spawnPoint, 'y', 'number', 'spawnPoint.y', true, error);
+            if (hasX && hasY) {
+                this.checkBounds({
+                    x: doc.spawnPoint.x, y: doc.spawnPoint.y,
+                    width: CONFIG.PLAYER_WIDTH, height: CONFIG.PLAYER_HEIGHT
+                }, 'spawnPoint', bounds, error);
+            }
+        }
+
+        if (!Array.isArray(doc.entities)) {
+            error('entities', doc.entities === undefined ? 'Missing required field' : 'Expected an array');
+            return errors;
+        }
+
+        doc.entities.forEach((def, i) => this.validateEntity(def, `entities[${i}]`, bounds, error));
+
+        if (doc.logic !== undefined) {
+            if (!Array.isArray(doc.logic)) {
+                error('logic', 'Expected an array');
+            } else {
+                doc.logic.forEach((node, i) => this.validateNode(node, `logic[${i}]`, error));
+            }
+        }
+
+        this.checkField(doc, 'solidGhosts', 'boolean', 'solidGhosts', false, error);
+        this.validateJump(doc, error);
+
+        if (doc.paradox !== undefined && !this.PARADOX_MODES.includes(doc.paradox)) {
+            error('paradox', `Expected one of ${this.PARADOX_MODES.join(', ')}, got ${JSON.stringify(doc.paradox)}`);
+        }
+
+        this.validateLinks(doc, error);
+        return errors;
+    },
+
+    /**
+     * Validate the optional world size
+     * @returns {{width: number, height: number}} Bounds to check entities against
+     */
+    validateWorld(doc, error) {
+        if (doc.world === undefined) {
+            return Levels.getWorldSize(doc);
+        }
+        if (!this.isObject(doc.world)) {
+            error('world', 'Expected an object');
+            return Levels.getWorldSize({});
+        }
+
+        const hasWidth = this.checkField(doc.world, 'width', 'number', 'world.width', true, error);
+        const hasHeight = this.checkField(doc.world, 'height', 'number', 'world.height', true, error);
+        if (!hasWidth || !hasHeight) {
+            return Levels.getWorldSize({});
+        }
+        if (doc.world.width <= 0 || doc.world.height <= 0) {
+            error('world', `Size must be positive (${doc.world.width}x${doc.world.height})`);
+        }
+        return Levels.getWorldSize(doc);
+    },
+
+    /**
+     * Validate the optional jump settings
+     */
+    validateJump(doc, error) {
+        if (doc.jump === undefined) return;
+        if (!this.isObject(doc.jump)) {
+            error('jump', 'Expected an object');
+            return;
+        }
+
+        for (const name of ['coyoteTicks', 'bufferTicks']) {
+            if (this.checkField(doc.jump, name, 'integer', `jump.${name}`, false, error) && doc.jump[name] < 0) {
+                error(`jump.${name}`, `Must be 0 or more, got ${doc.jump[name]}`);
+            }
+        }
+
+        const cut = doc.jump.cut;
+        if (this.checkField(doc.jump, 'cut', 'number', 'jump.cut', false, error) && cut !== undefined &&
+            (cut <= 0 || cut > 1)) {
+            error('jump.cut', `Must be above 0 and at most 1, got ${cut}`);
+        }
+    },
+
+    /**
+     * Validate one entity definition: type, fields and bounds
+     */
+    validateEntity(def, path, bounds, error) {
+        if (!this.isObject(def)) {
+            error(path, 'Expected an object');
+            return;
+        }
+
+        const fields = this.ENTITY_FIELDS[def.type];
+        if (!fields) {
+            error(`${path}.type`, def.type === undefined
+                ? 'Missing required field'
+                : `Unknown entity type ${JSON.stringify(def.type)}`);
+            return;
+        }
+
+        let complete = true;
+        for (const name of Object.keys(fields.required)) {
+            if (!this.checkField(def, name, fields.required[name], `${path}.${name}`, true, error)) {
+                complete = false;
+            }
+        }
+        for (const name of Object.keys(fields.optional)) {
+            if (!this.checkField(def, name, fields.optional[name], `${path}.${name}`, false, error)) {
+                complete = false;
+            }
+        }
+
+        if (complete) {
+            this.checkEntityBounds(def, path, bounds, error);
+        }
+    },
+
+    /**
+     * Validate one logic node definition
+     */
+    validateNode(node, path, error) {
+        if (!this.isObject(node)) {
+            error(path, 'Expected an object');
+            return;
+        }
+
+        this.checkField(node, 'id', 'string', `${path}.id`, true, error);
+
+        const fields = this.LOGIC_FIELDS[node.type];
+        if (!fields) {
+            error(`${path}.type`, node.type === undefined
+                ? 'Missing required field'
+                : `Unknown logic node type ${JSON.stringify(node.type)}`);
+            return;
+        }
+
+        for (const name of Object.keys(fields)) {
+            this.checkField(node, name, fields[name], `${path}.${name}`, true, error);
+        }
+    },
+
+    /**
+     * Check door indices, entity ids and signal refs all resolve, and that
+     * the logic graph has no cycles
+     */
+    validateLinks(doc, error) {
+        const entities = doc.entities.filter(def => this.isObject(def));
+        const logic = Array.isArray(doc.logic) ? doc.logic.filter(node => this.isObject(node)) : [];
+        const pathOf = (def) => `entities[${doc.entities.indexOf(def)}]`;
+
+        // Door indices
+        const doorIndices = {};
+        for (const def of entities) {
+            if (def.type === 'door' && Number.isInteger(def.linkedIndex)) {
+                if (doorIndices[def.linkedIndex]) {
+                    error(`${pathOf(def)}.linkedIndex`, `Duplicate door linkedIndex ${def.linkedIndex}`);
+                }
+                doorIndices[def.linkedIndex] = true;
+            }
+        }
+        for (const def of entities) {
+            if (def.type === 'switch' && Number.isInteger(def.linkedDoorIndex) && !doorIndices[def.linkedDoorIndex]) {
+                error(`${pathOf(def)}.linkedDoorIndex`, `No door has linkedIndex ${def.linkedDoorIndex}`);
+            }
+        }
+
+        // Ids shared by entities and logic nodes
+        const ids = {};
+        const claim = (id, path) => {
+            if (typeof id !== 'string') return;
+            if (ids[id]) {
+                error(path, `Duplicate id ${JSON.stringify(id)}`);
+            }
+            ids[id] = true;
+        };
+        entities.forEach(def => claim(def.id, `${pathOf(def)}.id`));
+        logic.forEach((node, i) => claim(node.id, `logic[${i}].id`));
+
+        const checkRef = (ref, path) => {
+            if (typeof ref === 'string' && !ids[ref]) {
+                error(path, `Unknown id ${JSON.stringify(ref)}`);
+            }
+        };
+
+        for (const def of entities) {
+            if (Array.isArray(def.linkedIds)) {
+                def.linkedIds.forEach((ref, j) => checkRef(ref, `${pathOf(def)}.linkedIds[${j}]`));
+            }
+            checkRef(def.signal, `${pathOf(def)}.signal`);
+        }
+
+        logic.forEach((node, i) => {
+            this.nodeInputs(node).forEach(([name, ref]) => checkRef(ref, `logic[${i}].${name}`));
+        });
+
+        // Cycles through logic nodes
+        const nodes = {};
+        logic.forEach((node, i) => { nodes[node.id] = { node: node, index: i }; });
+        const state = {};
+        const visit = (id) => {
+            if (!nodes[id] || state[id] === 'done') return;
+            if (state[id] === 'visiting') {
+                error(`logic[${nodes[id].index}]`, `Logic cycle through ${JSON.stringify(id)}`);
+                return;
+            }
+            state[id] = 'visiting';
+            this.nodeInputs(nodes[id].node).forEach(([, ref]) => visit(ref));
+            state[id] = 'done';
+        };
+        Object.keys(nodes).forEach(visit);
+    },
+
+    /**
+     * List a logic node's inputs as [fieldPath, ref] pairs
+     */
+    nodeInputs(node) {
+        const pairs = [];
+        for (const name of ['input', 'set', 'reset']) {
+            if (node[name] !== undefined) pairs.push([name, node[name]]);
+        }
+        if (Array.isArray(node.inputs)) {
+            node.inputs.forEach((ref, j) => pairs.push([`inputs[${j}]`, ref]));
+        }
+        return pairs;
+    },
+
+    /**
+     * Check an entity lies inside the play area
+     */
+    checkEntityBounds(def, path, bounds, error) {
+        if (def.type === 'laser') {
+            this.checkPointBounds(def.x1, def.y1, `${path} (x1, y1)`, bounds, error);
+            this.checkPointBounds(def.x2, def.y2, `${path} (x2, y2)`, bounds, error);
+            return;
+        }
+
+        const size = {
+            wall: [def.width, def.height],
+            switch: [CONFIG.SWITCH_SIZE, CONFIG.SWITCH_SIZE / 2],
+            door: [CONFIG.DOOR_WIDTH, def.height || CONFIG.DOOR_HEIGHT],
+            goal: [def.width || 48, def.height || 48],
+            crate: [CONFIG.CRATE_SIZE, CONFIG.CRATE_SIZE],
+            platform: [def.width, def.height]
+        }[def.type];
+
+        this.checkBounds({ x: def.x, y: def.y, width: size[0], height: size[1] }, path, bounds, error);
+
+        // A platform must stay inside the play area along its whole path
+        if (def.type === 'platform') {
+            if (def.speed !== undefined && def.speed <= 0) {
+                error(`${path}.speed`, `Speed must be positive (${def.speed})`);
+            }
+            (def.path || []).forEach((point, i) => this.checkBounds(
+                { x: point.x, y: point.y, width: def.width, height: def.height }, `${path}.path[${i}]`, bounds, error
+            ));
+        }
+    },
+
+    /**
+     * Check a box lies inside the play area
+     */
+    checkBounds(box, path, bounds, error) {
+        if (box.width <= 0 || box.height <= 0) {
+            error(path, `Size must be positive (${box.width}x${box.height})`);
+        }
+        if (box.x < 0 || box.y < 0 ||
+            box.x + box.width > bounds.width ||
+            box.y + box.height > bounds.height) {
+            error(path, `Outside the ${bounds.width}x${bounds.height} play area ` +
+                `(${box.x}, ${box.y}, ${box.width}x${box.height})`);
+        }
+    },
+
+    /**
+     * Check a point lies inside the play area
+     */
+    checkPointBounds(x, y, path, bounds, error) {
+        if (x < 0 || y < 0 || x > bounds.width || y > bounds.height) {
+            error(path, `Outside the ${bounds.width}x${bounds.height} play area (${x}, ${y})`);
+        }
+    },
+
+    /**
+     * Check one field's presence and type
+     * @returns {boolean} True if the field is valid (or optional and absent)
+     */
+    checkField(obj, name, type, path, required, error) {
+        const value = obj[name];
+
+        if (value === undefined) {
+            if (required) error(path, 'Missing required field');
+            return !required;
+        }
+
+        const ok = {
+            'number': () => typeof value === 'number' && Number.isFinite(value),
+            'integer': () => Number.isInteger(value),
+            'string': () => typeof value === 'string',
+            'boolean': () => typeof value === 'boolean',
+            'string[]': () => Array.isArray(value) && value.every(v => typeof v === 'string'),
+            'point[]': () => Array.isArray(value) && value.every(v =>
+                this.isObject(v) && Number.isFinite(v.x) && Number.isFinite(v.y))
+        }[type]();
+
+        if (!ok) {
+            error(path, `Expected ${type}, got ${JSON.stringify(value)}`);
+        }
+        return ok;
+    },
+
+    /**
+     * Check for a plain (non-array) object
+     */
+    isObject(value) {
+        return value !== null && typeof value === 'object' && !Array.isArray(value);
+    },
+
+    /**
+     * Load and validate a level file from a URL
+     * @param {string} url
+     * @returns {Promise<{level: Object|null, errors: ValidationError[]}>}
+     */
+    loadFromUrl(url) {
+        return fetch(url)
+            .then(response => {
+                if (!response.ok) {
+                    throw new Error(`HTTP ${response.status}`);
+                }
+                return response.text();
+            })
+            .then(text => this.parse(text))
+            .catch(e => ({ level: null, errors: [{ path: '', message: `Failed to load ${url}: ${e.message}` }] }));
+    },
+
+    /**
+     * Load and validate a level file picked by the user (File or Blob)
+     * @returns {Promise<{level: Object|null, errors: ValidationError[]}>}
+     */
+    loadFromFile(file) {
+        return file.text()
+            .then(text => this.parse(text))
+            .catch(e => ({ level: null, errors: [{ path: '', message: `Failed to read file: ${e.message}` }] }));
+    },
+
+    /**
+     * Format validation errors for logs, one per line
+     */
+    formatErrors(errors) {
+        return errors.map(e => (e.path ? `${e.path}: ${e.message}` : e.message)).join('\n');
+    }
+};
@@ -0,0 +1,405 @@
+/**
+ * level-lint.js - Static checks for level data
+ *
+ * LevelFormat.validate() rejects levels the game can't load. LevelLint goes
+ * further and looks for levels that load fine but don't work as intended:
+ *
+ *   - everything validate() reports (as errors)
+ *   - fields nothing reads (typos, fields of another entity type)
+ *   - wiring: switches wired to nothing, doors nothing opens, door indices no
+ *     switch uses, `requiresBoth` where it has no effect, unused logic nodes
+ *   - overlaps: solids inside each other (a door inside a wall never lets
+ *     anyone through), a spawn point, goal, switch or crate inside a solid
+ *   - reach: switches, crates and goals the player can't get to from the
+ *     spawn point by walking and jumping
+ *
+ * The reach check is an estimate, not a proof. It treats doors as open and
+ * moving platforms as standing still at each stop of their route, and is
+ * skipped for levels with `solidGhosts` (ghosts can be stacked to any height).
+ * Crates can't be stood on, so they never add to a jump.
+ *
+ * Findings are { severity: 'error' | 'warning', path, message }, with paths
+ * into the level like LevelFormat's (e.g. "entities[3].linkedIds[0]").
+ */
+
+const LevelLint = {
+    // Top-level level fields the game reads
+    LEVEL_FIELDS: ['version', 'id', 'name', 'world', 'spawnPoint', 'entities', 'logic', 'paradox', 'solidGhosts', 'jump'],
+
+    JUMP_FIELDS: ['coyoteTicks', 'bufferTicks', 'cut'],
+
+    // Longest jump or fall followed by the reach check (ticks)
+    MAX_AIR_TICKS: 240,
+
+    /**
+     * Check a level (Levels.data shape)
+     * @returns {Object[]} Findings, errors first
+     */
+    lint(level) {
+        const findings = LevelFormat.validateLevel(level)
+            .map(e => ({ severity: 'error', path: e.path, message: e.message }));
+        const hasErrors = findings.length > 0;
+        const warn = (path, message) => findings.push({ severity: 'warning', path: path, message: message });
+
+        if (!LevelFormat.isObject(level) || !Array.isArray(level.entities)) {
+            return findings;
+        }
+
+        this.checkFields(level, warn);
+
+        // The rest builds the level, which needs it to be valid
+        if (hasErrors) return findings;
+
+        const entities = Levels.createEntities(level);
+        this.checkWiring(level, entities, warn);
+        this.checkOverlaps(level, entities, warn);
+        if (!level.solidGhosts) {
+            this.checkReach(level, entities, warn);
+        }
+
+        return findings;
+    },
+
+    /**
+     * Findings as text, one per line
+     */
+    format(findings) {
+        return findings
+            .map(f => `${f.severity}: ${f.path ? `${f.path}: ` : ''}${f.message}`)
+            .join('\n');
+    },
+
+    // ═══════════════════════════════════════════════════════════
+    // FIELDS
+    // ═══════════════════════════════════════════════════════════
+
+    /**
+     * Warn about fields nothing reads
+     */
+    checkFields(level, warn) {
+        for (const name of Object.keys(level)) {
+            if (!this.LEVEL_FIELDS.includes(name)) {
+                warn(name, 'Unused field (the game ignores it)');
+            }
+        }
+
+        if (LevelFormat.isObject(level.jump)) {
+            for (const name of Object.keys(level.jump)) {
+                if (!this.JUMP_FIELDS.includes(name)) {
+                    warn(`jump.${name}`, 'Unused field (the game ignores it)');
+                }
+            }
+        }
+
+        level.entities.forEach((def, i) => {
+            const fields = LevelFormat.isObject(def) && LevelFormat.ENTITY_FIELDS[def.type];
+            if (!fields) return;
+
+            for (const name of Object.keys(def)) {
+                if (name !== 'type' && !(name in fields.required) && !(name in fields.optional)) {
+                    warn(`entities[${i}].${name}`, `Unused field (a ${def.type} doesn't read it)`);
+                }
+            }
+        });
+    },
+
+    // ═══════════════════════════════════════════════════════════
+    // WIRING
+    // ═══════════════════════════════════════════════════════════
+
+    /**
+     * Warn about switches, doors and logic that are wired to nothing
+     * @param {Object[]} entities - Levels.createEntities(level), same order as level.entities
+     */
+    checkWiring(level, entities, warn) {
+        const logic = level.logic || [];
+
+        // Every id something reads: signals, logic inputs
+        const referenced = new Set();
+        level.entities.forEach(def => {
+            if (def.signal !== undefined) referenced.add(def.signal);
+        });
+        logic.forEach(node => {
+            LevelFormat.nodeInputs(node).forEach(([, ref]) => referenced.add(ref));
+        });
+
+        const switchDoorIndices = new Set(level.entities
+            .filter(def => def.type === 'switch' && def.linkedDoorIndex !== undefined)
+            .map(def => def.linkedDoorIndex));
+
+        level.entities.forEach((def, i) => {
+            const entity = entities[i];
+            const path = `entities[${i}]`;
+
+            if (def.type === 'switch' && entity.linkedIds.length === 0 && !referenced.has(entity.id)) {
+                warn(path, 'Switch is not wired to anything');
+            }
+
+            if (def.type === 'door') {
+                const inputs = entity.linkedFrom.length;
+
+                if (def.linkedIndex !== undefined && !switchDoorIndices.has(def.linkedIndex)) {
+                    warn(`${path}.linkedIndex`, `No switch has linkedDoorIndex ${def.linkedIndex}`);
+                }
+                if (def.signal === undefined && inputs === 0 && !def.initiallyOpen) {
+                    warn(path, 'Nothing opens this door');
+                }
+                if (def.requiresBoth && def.signal !== undefined) {
+                    warn(`${path}.requiresBoth`, 'Ignored: the door reads `signal` instead of its links');
+                } else if (def.requiresBoth && inputs < 2) {
+                    warn(`${path}.requiresBoth`, `Has no effect with ${inputs} linked switch(es)`);
+                }
+            }
+        });
+
+        logic.forEach((node, i) => {
+            if (!referenced.has(node.id)) {
+                warn(`logic[${i}]`, `Logic node ${JSON.stringify(node.id)} is never used`);
+            }
+        });
+    },
+
+    // ═══════════════════════════════════════════════════════════
+    // OVERLAPS
+    // ═══════════════════════════════════════════════════════════
+
+    /**
+     * Warn about solids inside each other and things placed inside solids
+     */
+    checkOverlaps(level, entities, warn) {
+        const solids = entities.filter(entity => Physics.isGeometry(entity));
+        const pathOf = entity => `entities[${entities.indexOf(entity)}]`;
+
+        solids.forEach((a, i) => {
+            for (const b of solids.slice(i + 1)) {
+                if (!aabbOverlap(a, b)) continue;
+
+                if (a.type === 'door' || b.type === 'door') {
+                    const [door, other] = a.type === 'door' ? [a, b] : [b, a];
+                    warn(pathOf(door), `Overlaps the ${other.type} ${pathOf(other)}, which blocks the door even when open`);
+                } else {
+                    warn(pathOf(b), `Overlaps the ${a.type} ${pathOf(a)}`);
+                }
+            }
+        });
+
+        const spawn = this.getSpawnBox(level);
+        for (const solid of solids) {
+            if (aabbOverlap(spawn, solid) && !(solid.type === 'door' && solid.isOpen)) {
+                warn('spawnPoint', `Spawn point is inside the ${solid.type} ${pathOf(solid)}`);
+            }
+        }
+
+        for (const entity of entities) {
+            if (!['goal', 'switch', 'crate'].includes(entity.type)) continue;
+
+            const solid = solids.find(s => s.type !== 'door' && aabbOverlap(entity, s));
+            if (solid) {
+                warn(pathOf(entity), `Inside the ${solid.type} ${pathOf(solid)}`);
+            }
+        }
+    },
+
+    // ═══════════════════════════════════════════════════════════
+    // REACH
+    // ═══════════════════════════════════════════════════════════
+
+    /**
+     * Warn about switches, crates and goals the player can't get to
+     *
+     * The level is cut into LEDGES, stretches where the player can stand
+     * (ranges of the player's x on top of a wall or platform, or on the
+     * floor of the world). Starting from the ledge the player spawns on,
+     * a ledge leads to another if the player can walk off it or jump from its
+     * edge and land on the other without hitting a wall on the way.
+     */
+    checkReach(level, entities, warn) {
+        const world = Levels.getWorldSize(level);
+        const walls = entities.filter(entity => entity.type === 'wall');
+        const ledges = this.getLedges(entities, walls, world);
+        const paths = [this.getArc(CONFIG.PLAYER_JUMP), this.getArc(0)];
+        const height = paths[0].peak;
+
+        const start = this.findLedgeBelow(ledges, this.getSpawnBox(level));
+        if (!start) return;
+
+        const reached = new Set([start]);
+        const queue = [start];
+        while (queue.length > 0) {
+            const from = queue.shift();
+            const flights = this.getFlights(from, paths, walls, world);
+            for (const to of ledges) {
+                if (!reached.has(to) && this.canMove(from, to, flights, height)) {
+                    reached.add(to);
+                    queue.push(to);
+                }
+            }
+        }
+
+        entities.forEach((entity, i) => {
+            if (!['goal', 'switch', 'crate'].includes(entity.type)) return;
+
+            const touchable = [...reached].some(ledge => this.canTouch(ledge, entity, height, walls));
+            if (!touchable) {
+                warn(`entities[${i}]`, `The player can't reach this ${entity.type} from the spawn point ` +
+                    `(jumps are ${Math.floor(height)}px high)`);
+            }
+        });
+    },
+
+    /**
+     * Stretches where the player can stand: { top, left, right } with left and
+     * right the range of the player's x
+     */
+    getLedges(entities, walls, world) {
+        const width = CONFIG.PLAYER_WIDTH;
+        const surfaces = [{ x: 0, y: world.height, width: world.width, height: 0 }, ...walls];
+
+        // Moving platforms can be stood on at every stop of their route
+        for (const platform of entities.filter(entity => entity.type === 'platform')) {
+            for (const point of platform.route) {
+                surfaces.push({ x: point.x, y: point.y, width: platform.width, height: platform.height });
+            }
+        }
+
+        const ledges = [];
+        for (const surface of surfaces) {
+            let ranges = [[
+                Math.max(0, surface.x - width + 1),
+                Math.min(world.width - width, surface.x + surface.width - 1)
+            ]];
+
+            // Walls in the space above the surface cut it up
+            const standing = { x: 0, y: surface.y - CONFIG.PLAYER_HEIGHT, width: world.width, height: CONFIG.PLAYER_HEIGHT };
+            for (const wall of walls) {
+                if (wall === surface || !aabbOverlap(standing, wall)) continue;
+
+                const blockedLeft = wall.x - width + 1;
+                const blockedRight = wall.x + wall.width - 1;
+                ranges = ranges.flatMap(([left, right]) => [
+                    [left, Math.min(right, blockedLeft - 1)],
+                    [Math.max(left, blockedRight + 1), right]
+                ]).filter(([left, right]) => left <= right);
+            }
+
+            for (const [left, right] of ranges) {
+                ledges.push({ top: surface.y, left: left, right: right });
+            }
+        }
+        return ledges;
+    },
+
+    /**
+     * The ledge a body lands on when dropped from where it is
+     */
+    findLedgeBelow(ledges, box) {
+        return ledges
+            .filter(ledge => ledge.top >= box.y + box.height && box.x >= ledge.left && box.x <= ledge.right)
+            .sort((a, b) => a.top - b.top)[0] || null;
+    },
+
+    /**
+     * Height above the take-off point per tick of a jump (vy = jumpSpeed) or a
+     * fall (vy = 0), following the game's gravity
+     * @returns {{heights: number[], peak: number}}
+     */
+    getArc(jumpSpeed) {
+        const heights = [];
+        let height = 0;
+        let vy = jumpSpeed;
+        let peak = 0;
+
+        for (let tick = 0; tick < this.MAX_AIR_TICKS; tick++) {
+            vy = Math.min(vy + CONFIG.GRAVITY, CONFIG.TERMINAL_VELOCITY);
+            height -= vy;
+            peak = Math.max(peak, height);
+            heights.push(height);
+        }
+        return { heights: heights, peak: peak };
+    },
+
+    /**
+     * Every tick of walking off or jumping from either edge of a ledge, at
+     * full speed until it hits a wall or leaves the world
+     * @returns {{direction: number, x: number, previous: number, height: number}[]}
+     *     Player x and height above the ledge before and after each tick
+     */
+    getFlights(from, paths, walls, world) {
+        const flights = [];
+        const box = (x, height) => ({
+            x: x,
+            y: from.top - height - CONFIG.PLAYER_HEIGHT,
+            width: CONFIG.PLAYER_WIDTH,
+            height: CONFIG.PLAYER_HEIGHT
+        });
+
+        for (const direction of [1, -1]) {
+            for (const path of paths) {
+                let x = direction > 0 ? from.right : from.left;
+                let previous = 0;
+
+                for (const height of path.heights) {
+                    // Sideways first, at the old height: walls stop it (like Physics.sweepAxis)
+                    const nextX = clamp(x + direction * CONFIG.PLAYER_SPEED, 0, world.width - CONFIG.PLAYER_WIDTH);
+                    if (!walls.some(wall => aabbOverlap(box(nextX, previous), wall))) x = nextX;
+
+                    flights.push({ direction: direction, x: x, previous: previous, height: height });
+
+                    const body = box(x, height);
+                    if (body.y > world.height || walls.some(wall => aabbOverlap(body, wall))) break;
+                    previous = height;
+                }
+            }
+        }
+        return flights;
+    },
+
+    /**
+     * Whether the player can get from one ledge to another: straight up or
+     * down, or on a flight (see getFlights) whose feet pass the other ledge's
+     * top where the player can be above it (it can always move slower than
+     * full speed)
+     */
+    canMove(from, to, flights, jumpHeight) {
+        const rise = from.top - to.top;
+
+        if (to.left <= from.right && to.right >= from.left) {
+            return rise <= jumpHeight;
+        }
+
+        const direction = to.left > from.right ? 1 : -1;
+        return flights.some(step => step.direction === direction &&
+            step.previous >= rise && step.height <= rise &&
+            (direction > 0 ? step.x >= to.left : step.x <= to.right));
+    },
+
+    /**
+     * Whether the player can touch a box from a ledge, standing or jumping
+     * straight up with no wall overhead
+     */
+    canTouch(ledge, box, jumpHeight, walls) {
+        const left = Math.max(ledge.left, Math.floor(box.x) - CONFIG.PLAYER_WIDTH + 1);
+        const right = Math.min(ledge.right, Math.ceil(box.x + box.width) - 1);
+
+        // Lowest the player's top can be and still overlap the box
+        const y = Math.min(ledge.top - CONFIG.PLAYER_HEIGHT, box.y + box.height - 1);
+        if (left > right || box.y >= ledge.top || ledge.top - CONFIG.PLAYER_HEIGHT - y > jumpHeight) {
+            return false;
+        }
+
+        for (let x = left; ; x = Math.min(x + CONFIG.PLAYER_SPEED, right)) {
+            const column = { x: x, y: y, width: CONFIG.PLAYER_WIDTH, height: ledge.top - y };
+            if (!walls.some(wall => aabbOverlap(column, wall))) return true;
+            if (x === right) return false;
+        }
+    },
+
+    getSpawnBox(level) {
+        return {
+            x: level.spawnPoint.x,
+            y: level.spawnPoint.y,
+            width: CONFIG.PLAYER_WIDTH,
+            height: CONFIG.PLAYER_HEIGHT
+        };
+    }
+};
@@ -34,10 +34,10 @@ const Levels = {
                 { type: 'wall', x: 100, y: 450, width: 150, height: 20 },
                 { type: 'switch', x: 150, y: 430, linkedDoorIndex: 0 },
 
-                // Wall blocking goal
-                { type: 'wall', x: 500, y: 400, width: 20, height: 168 },
+                // Wall blocking goal, down to the door
+                { type: 'wall', x: 500, y: 400, width: 20, height: 104 },
 
-                // Door in the wall
+                // Door under the wall
                 { type: 'door', x: 500, y: 504, height: 64, linkedIndex: 0 },
 
                 // Goal behind door
@@ -55,15 +55,15 @@ const Levels = {
                 { type: 'wall', x: 0, y: 568, width: 800, height: 32 },
 
                 // Left platform with switch
-                { type: 'wall', x: 50, y: 400, width: 120, height: 20 },
-                { type: 'switch', x: 80, y: 380, linkedDoorIndex: 0 },
+                { type: 'wall', x: 50, y: 450, width: 120, height: 20 },
+                { type: 'switch', x: 80, y: 430, linkedDoorIndex: 0 },
 
                 // Right platform with switch
-                { type: 'wall', x: 300, y: 350, width: 120, height: 20 },
-                { type: 'switch', x: 330, y: 330, linkedDoorIndex: 0 },
+                { type: 'wall', x: 300, y: 440, width: 120, height: 20 },
+                { type: 'switch', x: 330, y: 420, linkedDoorIndex: 0 },
 
-                // Double-locked door
-                { type: 'wall', x: 550, y: 350, width: 20, height: 218 },
+                // Double-locked door under a wall
+                { type: 'wall', x: 550, y: 250, width: 20, height: 254 },
                 { type: 'door', x: 550, y: 504, height: 64, linkedIndex: 0, requiresBoth: true },
 
                 // Goal
@@ -103,6 +103,38 @@ const Levels = {
         return deepClone(this.data[index]);
     },
 
+    /**
+     * Append a level (e.g. one loaded from a level file)
+     * @returns {number} Index of the new level
+     */
+    register(level) {
+        this.data.push(deepClone(level));
+        return this.data.length - 1;
+    },
+
+    /**
+     * World size of a level: `world` if it declares one, else the canvas
+     * @returns {{width: number, height: number}}
+     */
+    getWorldSize(level) {
+        return level.world
+            ? { width: level.world.width, height: level.world.height }
+            : { width: CONFIG.CANVAS_WIDTH, height: CONFIG.CANVAS_HEIGHT };
+    },
+
+    /**
+     * Jump feel of a level: its `jump` fields where given, else the CONFIG defaults
+     * @returns {{coyoteTicks: number, bufferTicks: number, cut: number}}
+     */
+    getJumpSettings(level) {
+        const jump = level.jump || {};
+        return {
+            coyoteTicks: jump.coyoteTicks !== undefined ? jump.coyoteTicks : CONFIG.COYOTE_TICKS,
+            bufferTicks: jump.bufferTicks !== undefined ? jump.bufferTicks : CONFIG.JUMP_BUFFER_TICKS,
+            cut: jump.cut !== undefined ? jump.cut : CONFIG.JUMP_CUT
+        };
+    },
+
     /**
      * Get level count
      */
@@ -112,12 +144,27 @@ const Levels = {
 
     /**
      * Create entities from level data
+     *
+     * Switches link to doors by index (linkedDoorIndex -> door's linkedIndex);
+     * these are resolved to door ids here and wired up by Signals.createGraph.
+     * Entities may also carry an explicit `id` so level.logic can reference
+     * them, and receivers may pick their input with `signal`.
+     *
+     * Each receiver gets `linkedFrom`, the ids of the emitters whose linkedIds
+     * name it (in level order), so wiring doesn't rescan every entity per
+     * receiver.
+     *
+     * Entities without an explicit id get one generated from a seed (the
+     * level's hash), so they are the same every loop and in every run.
+     * Coordinates are snapped onto the fixed-point grid (see Fixed).
      */
     createEntities(level) {
         const entities = [];
         const doorRefs = [];
+        const nextId = createIdGenerator(hashLevel(level).toString(36));
 
-        for (const def of level.entities) {
+        for (const source of level.entities) {
+            const def = this.snapDefinition(source);
             let entity;
 
             switch (def.type) {
@@ -126,29 +173,52 @@ const Levels = {
                     break;
 
                 case 'switch':
-                    entity = Entities.createSwitch(def.x, def.y, []);
+                    entity = Entities.createSwitch(def.x, def.y, (def.linkedIds || []).slice());
                     // Store door link index for later resolution
                     entity._linkedDoorIndex = def.linkedDoorIndex;
                     break;
 
                 case 'door':
-                    entity = Entities.createDoor(def.x, def.y, def.height || CONFIG.DOOR_HEIGHT, false);
-                    doorRefs[def.linkedIndex] = entity.id;
+                    entity = Entities.createDoor(def.x, def.y, def.height || CONFIG.DOOR_HEIGHT, Boolean(def.initiallyOpen));
+                    entity.requiresBoth = Boolean(def.requiresBoth);
                     break;
 
                 case 'laser':
-                    entity = Entities.createLaser(def.x1, def.y1, def.x2, def.y2, def.linkedIds || []);
+                    entity = Entities.createLaser(def.x1, def.y1, def.x2, def.y2, (def.linkedIds || []).slice());
                     break;
 
                 case 'goal':
                     entity = Entities.createGoal(def.x, def.y, def.width || 48, def.height || 48);
                     break;
 
+                case 'crate':
+                    entity = Entities.createCrate(def.x, def.y);
+                    break;
+
+                case 'platform':
+                    entity = Entities.createPlatform(
+                        def.x, def.y, def.width, def.height,
+                        def.path || [], def.speed || CONFIG.PLATFORM_SPEED, Boolean(def.loop)
+                    );
+                    break;
+
                 default:
                     console.warn('Unknown entity type:', def.type);
                     continue;
             }
 
+            if (def.id !== undefined) {
+                entity.id = def.id;
+            } else if (entity.id === null) {
+                entity.id = nextId();
+            }
+            if (def.signal !== undefined) {
+                entity.signal = def.signal;
+            }
+            if (def.type === 'door' && def.linkedIndex !== undefined) {
+                doorRefs[def.linkedIndex] = entity.id;
+            }
+
             entities.push(entity);
         }
 
@@ -163,6 +233,43 @@ const Levels = {
             }
         }
 
+        // Switch -> door (and laser -> receiver) adjacency
+        const receivers = {};
+        for (const entity of entities) {
+            if (Signals.isReceiver(entity)) {
+                entity.linkedFrom = [];
+                receivers[entity.id] = entity;
+            }
+        }
+        for (const entity of entities) {
+            if (!Signals.isEmitter(entity)) continue;
+
+            for (const id of entity.linkedIds) {
+                const receiver = receivers[id];
+                if (receiver && !receiver.linkedFrom.includes(entity.id)) {
+                    receiver.linkedFrom.push(entity.id);
+                }
+            }
+        }
+
         return entities;
+    },
+
+    /**
+     * A copy of an entity definition with its coordinates on the fixed-point grid
+     */
+    snapDefinition(def) {
+        const snapped = Object.assign({}, def);
+
+        for (const key of ['x', 'y', 'width', 'height', 'x1', 'y1', 'x2', 'y2', 'speed']) {
+            if (typeof def[key] === 'number') {
+                snapped[key] = Fixed.snap(def[key]);
+            }
+        }
+        if (Array.isArray(def.path)) {
+            snapped.path = def.path.map(point => ({ x: Fixed.snap(point.x), y: Fixed.snap(point.y) }));
+        }
+
+        return snapped;
     }
 };
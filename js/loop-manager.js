@@ -0,0 +1,172 @@
+/**
+ * loop-manager.js - Panel for editing past loops of the current attempt
+ *
+ * Lists every recorded loop with its length and outcome. Any loop can be
+ * deleted (later loops move up) or re-recorded (the player replays that
+ * slot while every other loop keeps running as a ghost). Loops whose
+ * replay changed because of an edit are marked with the tick they first
+ * diverge (see Simulation.flagAffectedLoops). In levels with
+ * `paradox: 'rerecord'` the panel opens by itself when a ghost leaves its
+ * timeline, pointing at that ghost's loop. It also opens when a loop
+ * reaches the goal in a way that doesn't replay (see Simulation.endLoop).
+ *
+ * The game is paused while the panel is open. The `loops` binding (L by
+ * default) opens and closes it.
+ */
+
+const LoopManager = {
+    active: false,
+    wasPaused: false,       // Pause state to restore on close
+
+    /**
+     * Look up panel elements and bind controls
+     */
+    init() {
+        this.panelElement = document.getElementById('loop-manager');
+        this.listElement = document.getElementById('loop-list');
+        this.statusElement = document.getElementById('loop-status');
+        this.cancelElement = document.getElementById('loop-cancel');
+
+        document.getElementById('loop-close').addEventListener('click', () => this.close());
+        this.cancelElement.addEventListener('click', () => {
+            Game.cancelRerecord();
+            this.close();
+        });
+
+        this.listElement.addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-action]');
+            if (!button) return;
+
+            const index = Number(button.dataset.index);
+            if (button.dataset.action === 'rerecord') {
+                Game.rerecordLoop(index);
+                this.close();
+            } else if (button.dataset.action === 'delete') {
+                Game.deleteLoop(index);
+                this.refresh();
+            }
+        });
+    },
+
+    /**
+     * Open the panel (only while a level is being played)
+     */
+    open() {
+        if (this.active || Game.sim.levelComplete || Screens.current !== null) return;
+
+        this.active = true;
+        this.wasPaused = Game.isPaused;
+        Game.isPaused = true;
+
+        this.panelElement.classList.add('show');
+        this.refresh();
+    },
+
+    /**
+     * Close the panel and resume play
+     */
+    close() {
+        if (!this.active) return;
+
+        this.active = false;
+        this.panelElement.classList.remove('show');
+
+        Game.isPaused = this.wasPaused;
+        Game.lastTime = performance.now();
+        Game.accumulator = 0;
+    },
+
+    /**
+     * Open the panel suggesting a loop whose ghost caused a paradox be re-recorded
+     * @param {Recording} recording - The ghost's recording
+     * @param {number} tick - Tick the ghost left its timeline
+     */
+    offerRerecord(recording, tick) {
+        this.open();
+        if (!this.active) return;
+
+        const index = Game.sim.recordings.indexOf(recording);
+        const item = this.listElement.children[index];
+        if (item) {
+            item.classList.add('loop-paradox');
+        }
+        this.statusElement.textContent = `Loop ${index + 1} left its timeline at tick ${tick}. Re-record it?`;
+    },
+
+    /**
+     * Open the panel explaining why reaching the goal didn't clear the level
+     * @param {number} loopNumber - The loop that reached the goal
+     */
+    explainRejectedWin(loopNumber) {
+        this.open();
+        if (!this.active) return;
+
+        this.statusElement.textContent = `Loop ${loopNumber} reached the goal, but the loops don't get there ` +
+            'when replayed in order (a loop can\'t rely on loops recorded after it).';
+    },
+
+    toggle() {
+        if (this.active) {
+            this.close();
+        } else {
+            this.open();
+        }
+    },
+
+    /**
+     * Rebuild the loop list from the current simulation
+     *
+     * Loops are numbered by their place in the list (index + 1), as
+     * sim.loopIndex, sim.rerecordIndex and stale flags count them.
+     */
+    refresh() {
+        const sim = Game.sim;
+        this.listElement.innerHTML = '';
+
+        sim.recordings.forEach((recording, index) => {
+            const item = document.createElement('li');
+            const label = document.createElement('span');
+            label.textContent = `Loop ${index + 1} · ${recording.endTick} ticks · ${this.describeOutcome(recording)}`;
+            item.append(label);
+
+            if (recording.stale) {
+                const warning = document.createElement('span');
+                warning.className = 'loop-stale';
+                warning.textContent = `changed by loop ${recording.stale.changedLoop} at tick ${recording.stale.tick}`;
+                item.append(warning);
+            }
+
+            item.append(
+                this.createButton('Re-record', 'rerecord', index),
+                this.createButton('Delete', 'delete', index)
+            );
+            this.listElement.append(item);
+        });
+
+        if (sim.recordings.length === 0) {
+            const item = document.createElement('li');
+            item.textContent = 'No loops recorded yet';
+            this.listElement.append(item);
+        }
+
+        const rerecording = sim.rerecordIndex !== null;
+        this.statusElement.textContent = rerecording
+            ? `Re-recording loop ${sim.rerecordIndex + 1}`
+            : `Recording loop ${sim.loopIndex}`;
+        this.cancelElement.hidden = !rerecording;
+    },
+
+    createButton(text, action, index) {
+        const button = document.createElement('button');
+        button.textContent = text;
+        button.dataset.action = action;
+        button.dataset.index = index;
+        return button;
+    },
+
+    describeOutcome(recording) {
+        if (recording.reachedGoal) return 'goal';
+        if (recording.died) return 'died';
+        return 'timed out';
+    }
+};
@@ -18,12 +18,23 @@
             return;
         }
 
+        // Restore saved progress and settings
+        SaveSystem.init();
+        Campaign.restore(SaveSystem.data);
+        Bindings.init();
+
         // Initialize systems
         Renderer.init(canvas);
         InputSystem.init();
+        Screens.init();
+        Editor.init(canvas);
+        ReplayViewer.init();
+        LoopManager.init();
+        ControlsPanel.init();
+        TouchControls.init(runAction);
 
         // Load first level
-        const level = Levels.getLevel(0);
+        const level = Campaign.selectLevel(0);
         if (!level) {
             console.error('Failed to load level!');
             return;
@@ -35,47 +46,131 @@
         // Setup keyboard shortcuts
         setupKeyboardShortcuts();
 
+        // A level file passed as ?level=path/to/level.json is played directly
+        const levelUrl = new URLSearchParams(window.location.search).get('level');
+        if (levelUrl) {
+            loadLevelFile(levelUrl);
+        }
+
         console.log('Time Loop - Ready!');
-        console.log('Controls: Arrow keys or WASD to move, Up/W to jump');
+        console.log('Controls: Arrow keys, WASD, a gamepad or the touch screen to move, Up/W/A button to jump');
+        console.log('Press L to manage recorded loops, Z to zoom out, F2 to open the level editor, O to change controls');
+    }
+
+    /**
+     * Load a level file, add it to the campaign and play it
+     */
+    function loadLevelFile(url) {
+        LevelFormat.loadFromUrl(url).then(({ level, errors }) => {
+            if (!level) {
+                console.error(`Invalid level file ${url}:\n${LevelFormat.formatErrors(errors)}`);
+                return;
+            }
+
+            const index = Levels.register(level);
+            Campaign.unlock(index);
+            const selected = Campaign.selectLevel(index);
+            if (selected) {
+                Game.loadLevel(selected);
+                console.log(`Loaded level file ${url}: ${level.name}`);
+            } else {
+                console.log(`Level file ${url} is locked`);
+            }
+        });
     }
 
     /**
-     * Setup global keyboard shortcuts
+     * Setup global keyboard shortcuts (meta actions, see Bindings)
      */
     function setupKeyboardShortcuts() {
         window.addEventListener('keydown', (e) => {
-            switch (e.code) {
-                case 'Escape':
-                    Game.togglePause();
-                    break;
-
-                case 'KeyR':
-                    if (e.ctrlKey || e.metaKey) {
-                        e.preventDefault();
-                        Game.restartLevel();
-                    }
-                    break;
-
-                case 'Digit1':
-                case 'Digit2':
-                case 'Digit3':
-                case 'Digit4':
-                    // Quick level select (for testing)
-                    if (e.ctrlKey || e.metaKey) {
-                        e.preventDefault();
-                        const levelIndex = parseInt(e.code.charAt(5)) - 1;
-                        const level = Levels.getLevel(levelIndex);
-                        if (level) {
-                            Game.currentLevel = level;
-                            Game.restartLevel();
-                            console.log(`Loaded Level ${levelIndex + 1}: ${level.name}`);
-                        }
-                    }
-                    break;
+            const action = Bindings.getMetaAction(e);
+
+            // Toggles between the editor and a playtest of the edited level
+            if (action === 'editor' && !ReplayViewer.active) {
+                e.preventDefault();
+                LoopManager.close();
+                ControlsPanel.close();
+                if (Editor.active) {
+                    Editor.playtest();
+                } else {
+                    Editor.open();
+                }
+                return;
+            }
+
+            // The editor and replay viewer handle their own keys while open
+            if (Editor.active || ReplayViewer.active) return;
+
+            // Panels take the keyboard until they close
+            if (action === 'controls' && !LoopManager.active) {
+                ControlsPanel.toggle();
+                return;
+            }
+            if (action === 'loops' && !ControlsPanel.active) {
+                LoopManager.toggle();
+                return;
             }
+            if (LoopManager.active) {
+                if (e.code === 'Escape') LoopManager.close();
+                return;
+            }
+            if (ControlsPanel.active || !action) return;
+
+            if (action === 'restart' || action.startsWith('level')) {
+                e.preventDefault();
+            }
+            runAction(action);
         });
     }
 
+    /**
+     * Run a meta action on the game (from a key or a touch button)
+     */
+    function runAction(action) {
+        if (Editor.active || ReplayViewer.active || LoopManager.active || ControlsPanel.active) return;
+
+        switch (action) {
+            case 'pause':
+                Game.togglePause();
+                break;
+
+            case 'advance':
+                Game.advance();
+                break;
+
+            case 'replay':
+                if (Screens.current === 'results' || Screens.current === 'playtest-results') {
+                    Game.watchReplay();
+                }
+                break;
+
+            case 'restart':
+                Game.restartLevel();
+                break;
+
+            case 'camera':
+                Camera.toggleOverview();
+                break;
+
+            case 'level1':
+            case 'level2':
+            case 'level3':
+            case 'level4': {
+                // Quick select of unlocked levels
+                const levelIndex = parseInt(action.charAt(5)) - 1;
+                const level = Campaign.selectLevel(levelIndex);
+                if (level) {
+                    Game.loadLevel(level);
+                    console.log(`Loaded Level ${levelIndex + 1}: ${level.name}`);
+                } else {
+                    console.log(`Level ${levelIndex + 1} is locked`);
+                }
+                break;
+            }
+        }
+    }
+
     // Start when DOM is ready
     if (document.readyState === 'loading') {
         document.addEventListener('DOMContentLoaded', init);
@@ -1,12 +1,40 @@
 /**
  * physics.js - Movement and collision detection
+ *
+ * MOVEMENT is swept, one axis at a time: an entity moves along X, then along
+ * Y, in substeps no longer than half its size, and anything it runs into
+ * stops it on the side it came from. It can't pass through a wall however
+ * thin or however fast it goes, and landing on the corner of a ledge puts it
+ * on top rather than shoving it sideways off the edge. Falling speed is
+ * capped at CONFIG.TERMINAL_VELOCITY.
+ *
+ * All of it is fixed-point (see Fixed in utils.js): positions and
+ * velocities stay on a 1/256 pixel grid, so a replay plays out identically in
+ * every browser.
+ *
+ * Overlaps an entity didn't move into (a door closing on it, a platform
+ * pushing it, a crate dropped against a wall) are resolved along the axis of
+ * least overlap instead, see resolveCollisions.
  */
 
 const Physics = {
     /**
      * Apply input to an entity (player or ghost)
+     *
+     * Jumping is forgiving, with every timer counted in ticks and kept on the
+     * entity so a ghost replaying the same inputs jumps on the same ticks:
+     * - coyote time: a jump still works for a few ticks after walking off a
+     *   ledge (`coyoteTicks` left, refilled while grounded)
+     * - jump buffer: holding up in the air jumps on landing, and a press up to
+     *   `bufferTicks` before landing still counts (`jumpBuffer` left)
+     * - variable height: letting go of up while rising cuts the remaining
+     *   upward speed by `cut`, for a short hop
+     *
+     * @param {Object} entity - Player or ghost
+     * @param {Object} input - { left, right, up, down, action }
+     * @param {Object} jump - Jump settings (see Levels.getJumpSettings)
      */
-    applyInput(entity, input) {
+    applyInput(entity, input, jump) {
         // Horizontal movement
         if (input.left) {
             entity.vx = -CONFIG.PLAYER_SPEED;
@@ -18,64 +46,238 @@ const Physics = {
             entity.vx = 0;
         }
 
-        // Jump (only when grounded)
-        if (input.up && entity.grounded) {
+        // Jump when grounded or just off a ledge, with up held or buffered
+        if (input.up) {
+            entity.jumpBuffer = jump.bufferTicks + 1;
+        }
+        const canJump = entity.grounded || entity.coyoteTicks > 0;
+
+        if (entity.jumpBuffer > 0 && canJump) {
             entity.vy = CONFIG.PLAYER_JUMP;
             entity.grounded = false;
+            entity.jumping = true;
+            entity.jumpBuffer = 0;
+            entity.coyoteTicks = 0;
+        } else {
+            entity.jumpBuffer = Math.max(0, entity.jumpBuffer - 1);
+            entity.coyoteTicks = entity.grounded ? jump.coyoteTicks : Math.max(0, entity.coyoteTicks - 1);
+        }
+
+        // Short hop: releasing up while rising cuts the jump
+        if (entity.jumping && (entity.vy >= 0 || !input.up)) {
+            if (entity.vy < 0) {
+                entity.vy = Fixed.snap(entity.vy * jump.cut);
+            }
+            entity.jumping = false;
         }
     },
 
     /**
-     * Apply physics (gravity, friction)
+     * Apply gravity, up to terminal velocity (moveAndCollide does the moving)
      */
     applyPhysics(entity) {
-        // Apply gravity
-        entity.vy += CONFIG.GRAVITY;
+        entity.vy = Math.min(entity.vy + CONFIG.GRAVITY, CONFIG.TERMINAL_VELOCITY);
+    },
 
-        // Apply velocity
-        entity.x += entity.vx;
-        entity.y += entity.vy;
+    /**
+     * Move an entity by its velocity, stopping at solids and other bodies
+     *
+     * Overlaps left from before the move are resolved first, then the entity
+     * sweeps along X and along Y (see sweepAxis) and is kept in bounds.
+     * `grounded` is set if it landed on something.
+     *
+     * @param {Object} entity - Player, ghost or crate
+     * @param {Object[]} worldEntities - Level entities (walls, doors, ...)
+     * @param {{width: number, height: number}} bounds - World size (see Levels.getWorldSize)
+     * @param {Object[]} [bodies] - Other solid bodies (see resolveCollisions)
+     * @param {Object} [area] - See resolveCollisions; must cover the whole move
+     * @returns {boolean} False if the entity left `area` (see resolveCollisions)
+     */
+    moveAndCollide(entity, worldEntities, bounds, bodies = [], area = null) {
+        const solids = [
+            ...worldEntities.filter(world => this.isSolid(world)),
+            ...bodies.filter(body => body !== entity)
+        ];
 
-        // Reset grounded status (will be set by collision)
         entity.grounded = false;
+
+        for (const solid of solids) {
+            this.resolveOverlap(entity, solid);
+            if (area && !SpatialGrid.contains(area, entity)) return false;
+        }
+
+        if (!this.sweepAxis(entity, 'x', solids, area)) return false;
+        if (!this.sweepAxis(entity, 'y', solids, area)) return false;
+
+        this.clampToBounds(entity, bounds);
+        return true;
     },
 
     /**
-     * Resolve collisions with world entities
+     * Move along one axis by the entity's velocity on it, in substeps of at
+     * most half its size so no solid can fit between two steps
+     *
+     * A solid the entity steps into pushes it back out on the side it came
+     * from (the nearest such side if it hit several) and stops it on that
+     * axis; landing on top sets grounded. Solids it already overlapped before
+     * the step don't block, so it can't get stuck inside something it was
+     * already in. Steps are equal fractions of the velocity on the
+     * fixed-point grid, and the last one ends exactly at start + velocity.
+     *
+     * @returns {boolean} False if the entity left `area`
      */
-    resolveCollisions(entity, worldEntities) {
-        for (const world of worldEntities) {
-            // Only collide with solid entities
-            if (world.type !== 'wall' &&
-                !(world.type === 'door' && !world.isOpen)) {
-                continue;
-            }
+    sweepAxis(entity, axis, solids, area) {
+        const velocity = axis === 'x' ? 'vx' : 'vy';
+        const size = axis === 'x' ? 'width' : 'height';
+        const start = entity[axis];
+        const distance = entity[velocity];
+        const steps = Math.ceil(Math.abs(distance) / (entity[size] / 2));
 
-            if (!aabbOverlap(entity, world)) {
-                continue;
-            }
+        for (let step = 1; step <= steps; step++) {
+            const from = { x: entity.x, y: entity.y, width: entity.width, height: entity.height };
+            entity[axis] = start + Fixed.mulDiv(distance, step, steps);
+
+            let stop = null;
+            for (const solid of solids) {
+                if (!aabbOverlap(entity, solid) || aabbOverlap(from, solid)) continue;
 
-            // Calculate overlap on each axis
-            const overlapX = this.getOverlapX(entity, world);
-            const overlapY = this.getOverlapY(entity, world);
+                const edge = distance > 0 ? solid[axis] - entity[size] : solid[axis] + solid[size];
+                stop = stop === null ? edge : (distance > 0 ? Math.min(stop, edge) : Math.max(stop, edge));
+            }
 
-            // Resolve the smaller overlap first
-            if (Math.abs(overlapX) < Math.abs(overlapY)) {
-                entity.x += overlapX;
-                entity.vx = 0;
-            } else {
-                entity.y += overlapY;
-                entity.vy = 0;
+            if (stop !== null) {
+                entity[axis] = stop;
+            }
+            if (area && !SpatialGrid.contains(area, entity)) return false;
 
-                // Check if landed on top
-                if (overlapY < 0) {
+            if (stop !== null) {
+                entity[velocity] = 0;
+                if (axis === 'y' && distance > 0) {
                     entity.grounded = true;
                 }
+                break;
+            }
+        }
+
+        return true;
+    },
+
+    /**
+     * Push an entity out of world entities and, optionally, other bodies it
+     * overlaps, along the axis of least overlap (no movement involved)
+     *
+     * Bodies (the player and ghosts when a level has `solidGhosts`) are
+     * treated like walls at their current positions: only the entity being
+     * resolved moves. Callers update bodies in a fixed order (player, then
+     * ghosts in spawn order), so each body collides with the ones already
+     * moved this tick and the rest as they were last tick - deterministic,
+     * and stacking works from the bottom up.
+     *
+     * @param {Object} entity - Player or ghost to push out of solids
+     * @param {Object[]} worldEntities - Level entities (walls, doors, ...)
+     * @param {{width: number, height: number}} bounds - World size (see Levels.getWorldSize)
+     * @param {Object[]} [bodies] - Other solid bodies; the entity itself is skipped
+     * @param {Object} [area] - When worldEntities are only the solids near the
+     *        entity (see SpatialGrid), the box they were gathered for
+     * @returns {boolean} False if the entity was pushed out of `area`: solids
+     *          outside it were never checked, so the caller must restore the
+     *          entity and resolve again against every solid
+     */
+    resolveCollisions(entity, worldEntities, bounds, bodies = [], area = null) {
+        for (const world of worldEntities) {
+            // Only collide with solid entities
+            if (this.isSolid(world)) {
+                this.resolveOverlap(entity, world);
+                if (area && !SpatialGrid.contains(area, entity)) return false;
+            }
+        }
+
+        for (const body of bodies) {
+            if (body !== entity) {
+                this.resolveOverlap(entity, body);
             }
         }
 
         // Keep entity in bounds
-        this.clampToBounds(entity);
+        this.clampToBounds(entity, bounds);
+        return true;
+    },
+
+    /**
+     * Check if a world entity can ever block movement (kept in the broadphase)
+     */
+    isGeometry(world) {
+        return world.type === 'wall' || world.type === 'platform' || world.type === 'door';
+    },
+
+    /**
+     * Check if a world entity blocks movement (walls, closed doors, platforms)
+     */
+    isSolid(world) {
+        return world.type === 'wall' || world.type === 'platform' ||
+            (world.type === 'door' && !world.isOpen);
+    },
+
+    /**
+     * Check if an entity overlaps any solid other than `except`
+     */
+    overlapsSolid(entity, worldEntities, except = null) {
+        return worldEntities.some(world =>
+            world !== except && this.isSolid(world) && aabbOverlap(entity, world)
+        );
+    },
+
+    /**
+     * Check if an entity rests on top of a solid box
+     */
+    isStandingOn(entity, solid) {
+        return entity.x < solid.x + solid.width &&
+            entity.x + entity.width > solid.x &&
+            Math.abs(entity.y + entity.height - solid.y) <= 0.5;
+    },
+
+    /**
+     * Push an entity out of a moving platform in the direction it moved
+     */
+    pushOut(entity, platform) {
+        if (Math.abs(platform.dx) >= Math.abs(platform.dy)) {
+            entity.x = platform.dx > 0 ? platform.x + platform.width : platform.x - entity.width;
+            entity.vx = 0;
+        } else if (platform.dy > 0) {
+            entity.y = platform.y + platform.height;
+            entity.vy = 0;
+        } else {
+            entity.y = platform.y - entity.height;
+            entity.vy = 0;
+            entity.grounded = true;
+        }
+    },
+
+    /**
+     * Push an entity out of one solid box along the axis of least overlap
+     */
+    resolveOverlap(entity, solid) {
+        if (!aabbOverlap(entity, solid)) {
+            return;
+        }
+
+        // Calculate overlap on each axis
+        const overlapX = this.getOverlapX(entity, solid);
+        const overlapY = this.getOverlapY(entity, solid);
+
+        // Resolve the smaller overlap first
+        if (Math.abs(overlapX) < Math.abs(overlapY)) {
+            entity.x += overlapX;
+            entity.vx = 0;
+        } else {
+            entity.y += overlapY;
+            entity.vy = 0;
+
+            // Check if landed on top
+            if (overlapY < 0) {
+                entity.grounded = true;
+            }
+        }
     },
 
     /**
@@ -111,9 +313,9 @@ const Physics = {
     },
 
     /**
-     * Keep entity within canvas bounds
+     * Keep entity within the world
      */
-    clampToBounds(entity) {
+    clampToBounds(entity, bounds) {
         // Left boundary
         if (entity.x < 0) {
             entity.x = 0;
@@ -121,14 +323,14 @@ const Physics = {
         }
 
         // Right boundary
-        if (entity.x + entity.width > CONFIG.CANVAS_WIDTH) {
-            entity.x = CONFIG.CANVAS_WIDTH - entity.width;
+        if (entity.x + entity.width > bounds.width) {
+            entity.x = bounds.width - entity.width;
             entity.vx = 0;
         }
 
         // Bottom boundary (floor)
-        if (entity.y + entity.height > CONFIG.CANVAS_HEIGHT) {
-            entity.y = CONFIG.CANVAS_HEIGHT - entity.height;
+        if (entity.y + entity.height > bounds.height) {
+            entity.y = bounds.height - entity.height;
             entity.vy = 0;
             entity.grounded = true;
         }
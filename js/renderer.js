@@ -1,11 +1,17 @@
 /**
  * renderer.js - Canvas rendering system
+ *
+ * Entities are drawn in world coordinates through a view (see camera.js);
+ * overlays drawn after render() use plain canvas coordinates.
  */
 
 const Renderer = {
     canvas: null,
     ctx: null,
 
+    // Short-lived visual effects (presentation only, advanced per frame)
+    effects: [],
+
     /**
      * Initialize the renderer
      */
@@ -31,10 +37,16 @@ const Renderer = {
 
     /**
      * Main render function
+     * @param {Object} gameState - Simulation to draw
+     * @param {number} alpha - Progress toward the next tick
+     * @param {{x: number, y: number, scale: number}} view - From Camera.getView
      */
-    render(gameState, alpha) {
+    render(gameState, alpha, view) {
         this.clear();
 
+        this.ctx.save();
+        this.applyView(view);
+
         // Render world entities (walls, switches, doors, goal)
         for (const entity of gameState.entities) {
             this.renderEntity(entity);
@@ -47,10 +59,12 @@ const Renderer = {
             }
         }
 
-        // Render ghosts (semi-transparent)
+        // Render ghosts (semi-transparent), and the bodies of dead ones
         for (const ghost of gameState.ghosts) {
             if (ghost.isActive) {
                 this.renderGhost(ghost, alpha);
+            } else if (ghost.isDead) {
+                this.renderHusk(ghost);
             }
         }
 
@@ -58,6 +72,16 @@ const Renderer = {
         if (gameState.player && gameState.player.isActive) {
             this.renderPlayer(gameState.player, alpha);
         }
+
+        this.renderEffects();
+        this.ctx.restore();
+    },
+
+    /**
+     * Draw world coordinates through a view until the next ctx.restore()
+     */
+    applyView(view) {
+        this.ctx.setTransform(view.scale, 0, 0, view.scale, -view.x * view.scale, -view.y * view.scale);
     },
 
     /**
@@ -77,6 +101,12 @@ const Renderer = {
             case 'goal':
                 this.renderGoal(entity);
                 break;
+            case 'crate':
+                this.renderCrate(entity);
+                break;
+            case 'platform':
+                this.renderPlatform(entity);
+                break;
         }
     },
 
@@ -114,6 +144,27 @@ const Renderer = {
         ctx.fillStyle = CONFIG.COLORS.player;
         ctx.fillRect(ghost.x, ghost.y, ghost.width, ghost.height);
 
+        // Ghosts that left their recorded path, with where they should be
+        if (ghost.paradox) {
+            ctx.globalAlpha = 1;
+            ctx.strokeStyle = CONFIG.COLORS.paradox;
+            ctx.lineWidth = 2;
+            ctx.strokeRect(ghost.x - 2, ghost.y - 2, ghost.width + 4, ghost.height + 4);
+            ctx.setLineDash([2, 4]);
+            ctx.strokeRect(ghost.paradox.x, ghost.paradox.y, ghost.width, ghost.height);
+            ctx.setLineDash([]);
+            ctx.lineWidth = 1;
+            ctx.globalAlpha = 0.4;
+        } else if (ghost.recording.stale) {
+            // Loops changed by an edit to an earlier loop (see LoopManager)
+            ctx.globalAlpha = 1;
+            ctx.strokeStyle = CONFIG.COLORS.stale;
+            ctx.setLineDash([4, 3]);
+            ctx.strokeRect(ghost.x - 2, ghost.y - 2, ghost.width + 4, ghost.height + 4);
+            ctx.setLineDash([]);
+            ctx.globalAlpha = 0.4;
+        }
+
         // Ghost number indicator
         ctx.fillStyle = '#ffffff';
         ctx.font = '12px monospace';
@@ -127,6 +178,65 @@ const Renderer = {
         ctx.globalAlpha = 1;
     },
 
+    /**
+     * Render the body of a ghost killed this loop
+     */
+    renderHusk(ghost) {
+        const ctx = this.ctx;
+
+        ctx.fillStyle = CONFIG.COLORS.husk;
+        ctx.fillRect(ghost.x, ghost.y, ghost.width, ghost.height);
+
+        // Cross over the body
+        ctx.strokeStyle = CONFIG.COLORS.death;
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.moveTo(ghost.x + 6, ghost.y + 6);
+        ctx.lineTo(ghost.x + ghost.width - 6, ghost.y + ghost.height - 6);
+        ctx.moveTo(ghost.x + ghost.width - 6, ghost.y + 6);
+        ctx.lineTo(ghost.x + 6, ghost.y + ghost.height - 6);
+        ctx.stroke();
+    },
+
+    /**
+     * Start a death burst where an entity died
+     */
+    spawnDeathEffect(entity) {
+        this.effects.push({
+            x: entity.x + entity.width / 2,
+            y: entity.y + entity.height / 2,
+            frame: 0,
+            duration: 30
+        });
+    },
+
+    /**
+     * Render and advance active effects, dropping finished ones
+     */
+    renderEffects() {
+        const ctx = this.ctx;
+
+        for (const effect of this.effects) {
+            const t = effect.frame / effect.duration;
+
+            ctx.globalAlpha = 1 - t;
+            ctx.strokeStyle = CONFIG.COLORS.death;
+            ctx.lineWidth = 3;
+            ctx.shadowColor = CONFIG.COLORS.death;
+            ctx.shadowBlur = 15;
+
+            ctx.beginPath();
+            ctx.arc(effect.x, effect.y, 8 + t * 40, 0, Math.PI * 2);
+            ctx.stroke();
+
+            effect.frame++;
+        }
+
+        ctx.shadowBlur = 0;
+        ctx.globalAlpha = 1;
+        this.effects = this.effects.filter(effect => effect.frame < effect.duration);
+    },
+
     /**
      * Render wall
      */
@@ -140,6 +250,21 @@ const Renderer = {
         this.ctx.strokeRect(wall.x, wall.y, wall.width, wall.height);
     },
 
+    /**
+     * Render moving platform (edge lit while powered)
+     */
+    renderPlatform(platform) {
+        const ctx = this.ctx;
+
+        ctx.fillStyle = CONFIG.COLORS.platform;
+        ctx.fillRect(platform.x, platform.y, platform.width, platform.height);
+
+        ctx.fillStyle = CONFIG.COLORS.platform_edge;
+        ctx.globalAlpha = platform.isPowered ? 0.8 : 0.25;
+        ctx.fillRect(platform.x, platform.y, platform.width, 3);
+        ctx.globalAlpha = 1;
+    },
+
     /**
      * Render switch
      */
@@ -163,6 +288,26 @@ const Renderer = {
         ctx.fillRect(sw.x + 8, sw.y + 8, sw.width - 16, sw.height - 16);
     },
 
+    /**
+     * Render crate
+     */
+    renderCrate(crate) {
+        const ctx = this.ctx;
+
+        ctx.fillStyle = CONFIG.COLORS.crate;
+        ctx.fillRect(crate.x, crate.y, crate.width, crate.height);
+
+        // Planks
+        ctx.strokeStyle = CONFIG.COLORS.crate_edge;
+        ctx.lineWidth = 2;
+        ctx.strokeRect(crate.x + 1, crate.y + 1, crate.width - 2, crate.height - 2);
+        ctx.beginPath();
+        ctx.moveTo(crate.x + 2, crate.y + 2);
+        ctx.lineTo(crate.x + crate.width - 2, crate.y + crate.height - 2);
+        ctx.stroke();
+        ctx.lineWidth = 1;
+    },
+
     /**
      * Render door
      */
@@ -187,6 +332,23 @@ const Renderer = {
     renderLaser(laser) {
         const ctx = this.ctx;
 
+        // Switched off: faint dashed guide where the beam would be
+        if (!laser.isOn) {
+            ctx.strokeStyle = CONFIG.COLORS.laser;
+            ctx.globalAlpha = 0.2;
+            ctx.lineWidth = 1;
+            ctx.setLineDash([4, 6]);
+
+            ctx.beginPath();
+            ctx.moveTo(laser.x1, laser.y1);
+            ctx.lineTo(laser.x2, laser.y2);
+            ctx.stroke();
+
+            ctx.setLineDash([]);
+            ctx.globalAlpha = 1;
+            return;
+        }
+
         if (laser.isBlocked) {
             ctx.globalAlpha = 0.3;
         }
@@ -0,0 +1,269 @@
+/**
+ * replay-viewer.js - Watch a solved run back
+ *
+ * The viewer never stores simulation snapshots. Every loop is rebuilt from
+ * its recordings: loop N is a fresh simulation with loops 1..N-1 as ghosts
+ * and loop N's inputs fed to the player. Because the simulation is
+ * deterministic (see game.js), seeking to tick T is simply re-simulating
+ * ticks 0..T-1, which is cheap at 1200 ticks per loop.
+ *
+ * MODES:
+ * - sequence: every loop in order, advancing to the next when one ends
+ * - final:    only the winning loop, with all earlier loops as ghosts
+ *
+ * CONTROLS: Space play/pause, Left/Right step one tick, Escape close;
+ * plus the toolbar (speed 0.25x-4x, mode, loop and a scrub bar over localTick).
+ */
+
+const ReplayViewer = {
+    SPEEDS: [0.25, 0.5, 1, 2, 4],
+
+    active: false,
+    level: null,
+    recordings: [],
+
+    mode: 'sequence',       // 'sequence' | 'final'
+    loopNumber: 1,          // 1-based loop being shown
+    sim: null,              // Simulation of the loop being shown
+
+    isPlaying: false,
+    speed: 1,
+    accumulator: 0,
+    lastTime: 0,
+    returnScreen: null,     // Overlay to restore on close
+
+    /**
+     * Look up toolbar elements and bind controls
+     */
+    init() {
+        this.barElement = document.getElementById('replay-bar');
+        this.playElement = document.getElementById('replay-play');
+        this.scrubElement = document.getElementById('replay-scrub');
+        this.tickElement = document.getElementById('replay-tick');
+        this.loopElement = document.getElementById('replay-loop');
+        this.speedElement = document.getElementById('replay-speed');
+        this.modeElement = document.getElementById('replay-mode');
+
+        for (const speed of this.SPEEDS) {
+            const option = document.createElement('option');
+            option.value = speed;
+            option.textContent = `${speed}x`;
+            option.selected = speed === this.speed;
+            this.speedElement.append(option);
+        }
+
+        this.playElement.addEventListener('click', () => this.togglePlay());
+        document.getElementById('replay-back').addEventListener('click', () => this.stepBack());
+        document.getElementById('replay-forward').addEventListener('click', () => this.stepForward());
+        document.getElementById('replay-prev').addEventListener('click', () => this.changeLoop(-1));
+        document.getElementById('replay-next').addEventListener('click', () => this.changeLoop(1));
+        document.getElementById('replay-close').addEventListener('click', () => this.close());
+
+        this.speedElement.addEventListener('change', () => { this.speed = Number(this.speedElement.value); });
+        this.modeElement.addEventListener('change', () => this.setMode(this.modeElement.value));
+        this.scrubElement.addEventListener('input', () => {
+            this.isPlaying = false;
+            this.seek(Number(this.scrubElement.value));
+        });
+
+        window.addEventListener('keydown', (e) => this.active && this.onKeyDown(e));
+    },
+
+    /**
+     * Open the viewer on a solved run
+     * @param {Object} level - The level played
+     * @param {Recording[]} recordings - Every loop of the run, in order
+     */
+    open(level, recordings) {
+        if (this.active || recordings.length === 0) return;
+
+        this.level = level;
+        this.recordings = recordings;
+        this.returnScreen = Screens.current;
+
+        Game.stop();
+        Screens.hide();
+
+        this.active = true;
+        this.barElement.classList.add('show');
+        document.getElementById('game-container').classList.add('replaying');
+        this.setMode(this.mode);
+        this.isPlaying = true;
+
+        this.lastTime = performance.now();
+        requestAnimationFrame((time) => this.frameLoop(time));
+    },
+
+    /**
+     * Close the viewer and give the canvas back to Game
+     */
+    close() {
+        this.active = false;
+        this.isPlaying = false;
+        this.barElement.classList.remove('show');
+        document.getElementById('game-container').classList.remove('replaying');
+
+        Screens.show(this.returnScreen);
+        Game.start();
+    },
+
+    /**
+     * Switch between watching every loop and only the final one
+     */
+    setMode(mode) {
+        this.mode = mode;
+        this.modeElement.value = mode;
+        this.loadLoop(mode === 'final' ? this.recordings.length : 1);
+    },
+
+    /**
+     * Show the previous/next loop from its start (sequence mode)
+     */
+    changeLoop(delta) {
+        if (this.mode !== 'sequence') return;
+
+        const loopNumber = clamp(this.loopNumber + delta, 1, this.recordings.length);
+        if (loopNumber !== this.loopNumber) {
+            this.loadLoop(loopNumber);
+        }
+    },
+
+    /**
+     * Start showing a loop from tick 0
+     */
+    loadLoop(loopNumber) {
+        this.loopNumber = loopNumber;
+        this.scrubElement.max = this.getRecording().endTick;
+        this.seek(0);
+        Camera.reset(this.sim.player);
+    },
+
+    /**
+     * Recording the player replays in the loop being shown
+     */
+    getRecording() {
+        return this.recordings[this.loopNumber - 1];
+    },
+
+    /**
+     * Rebuild the loop and re-simulate up to a tick
+     */
+    seek(tick) {
+        this.sim = Simulation.create(this.level, {
+            recordings: this.recordings.slice(0, this.loopNumber - 1),
+            autoAdvance: false,
+            checkWins: false    // Shows the run as saved, already played in order
+        });
+
+        while (this.sim.localTick < tick && !this.sim.loopEnded) {
+            this.advanceTick();
+        }
+
+        this.accumulator = 0;
+        this.updateControls();
+    },
+
+    /**
+     * Simulate one tick of the loop being shown
+     * @returns {Object[]} Simulation events
+     */
+    advanceTick() {
+        const input = ReplaySystem.getInputAtTick(this.getRecording(), this.sim.localTick) ||
+            { left: false, right: false, up: false, down: false, action: false };
+        return Simulation.tick(this.sim, input);
+    },
+
+    /**
+     * Step one tick forward, moving on to the next loop at a loop's end
+     */
+    stepForward() {
+        if (this.sim.loopEnded) {
+            if (this.mode === 'sequence' && this.loopNumber < this.recordings.length) {
+                this.loadLoop(this.loopNumber + 1);
+            } else {
+                this.isPlaying = false;
+                this.updateControls();
+            }
+            return;
+        }
+
+        for (const event of this.advanceTick()) {
+            if (event.type === 'death') {
+                Renderer.spawnDeathEffect(event.entity);
+            }
+        }
+        this.updateControls();
+    },
+
+    /**
+     * Step one tick back (re-simulates the loop from its start)
+     */
+    stepBack() {
+        this.isPlaying = false;
+        this.seek(Math.max(0, this.sim.localTick - 1));
+    },
+
+    togglePlay() {
+        // Play from the top of the loop once it has ended
+        if (!this.isPlaying && this.sim.loopEnded) {
+            this.seek(0);
+        }
+        this.isPlaying = !this.isPlaying;
+        this.updateControls();
+    },
+
+    onKeyDown(e) {
+        switch (e.code) {
+            case 'Space':
+                e.preventDefault();
+                this.togglePlay();
+                break;
+            case 'ArrowLeft':
+                e.preventDefault();
+                this.stepBack();
+                break;
+            case 'ArrowRight':
+                e.preventDefault();
+                this.isPlaying = false;
+                this.stepForward();
+                break;
+            case 'Escape':
+                this.close();
+                break;
+        }
+    },
+
+    /**
+     * Sync toolbar labels with the current position
+     */
+    updateControls() {
+        const recording = this.getRecording();
+
+        this.playElement.textContent = this.isPlaying ? 'Pause' : 'Play';
+        this.scrubElement.value = this.sim.localTick;
+        this.tickElement.textContent = `${this.sim.localTick} / ${recording.endTick}`;
+        this.loopElement.textContent = `Loop ${this.loopNumber} / ${this.recordings.length}`;
+    },
+
+    /**
+     * Frame loop: advance at the chosen speed, then draw
+     */
+    frameLoop(currentTime) {
+        if (!this.active) return;
+
+        const deltaTime = currentTime - this.lastTime;
+        this.lastTime = currentTime;
+
+        if (this.isPlaying) {
+            this.accumulator += deltaTime * this.speed;
+            while (this.isPlaying && this.accumulator >= CONFIG.TICK_DURATION) {
+                this.stepForward();
+                this.accumulator -= CONFIG.TICK_DURATION;
+            }
+        }
+
+        Camera.update(this.sim.player, deltaTime);
+        Renderer.render(this.sim, 0, Camera.getView(this.sim.world));
+        requestAnimationFrame((time) => this.frameLoop(time));
+    }
+};
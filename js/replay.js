@@ -4,6 +4,33 @@
  * DETERMINISM: Inputs are recorded per fixed timestep (tick), not per render frame.
  * This ensures ghosts replay identically regardless of the user's frame rate.
  * Each Recording.inputs array is indexed by localTick [0..1199] for a 20-second loop.
+ *
+ * REPLAY FILES: exportRecordings() packs a run into a compact, versioned
+ * binary format, base64 encoded so it can live in save data or a text file.
+ * All integers are big-endian; "varint" is unsigned LEB128.
+ *
+ *   HEADER
+ *     magic          4 bytes  "TLRP"
+ *     version        u8       REPLAY_VERSION
+ *     tickRate       u8       CONFIG.TICK_RATE when recorded
+ *     loopTicks      u16      CONFIG.LOOP_TICKS when recorded
+ *     levelHash      u32      hashLevel() of the level played
+ *     levelId        u8 length + UTF-8 bytes
+ *     count          u16      number of recordings
+ *   RECORDING (x count)
+ *     loopIndex      u16
+ *     endTick        u16
+ *     flags          u8       bit 0 reachedGoal, bit 1 died
+ *     runs           varint   number of runs, then per run:
+ *       buttons      u8       left=1 right=2 up=4 down=8 action=16
+ *       length       varint   ticks the buttons are held unchanged
+ *     hashes         u32      Simulation.hashState() at each of getHashTicks(endTick)
+ *   TRAILER
+ *     checksum       u32      fnv1a() of every byte before it
+ *
+ * Holding a button for a whole loop costs 3 bytes instead of 1200 objects.
+ * The hashes let tools/verify-replay.js find where a replay stops matching;
+ * they come from playing the run with Simulation.run, so export its recordings.
  */
 
 const ReplaySystem = {
@@ -17,7 +44,10 @@ const ReplaySystem = {
             id: `loop-${loopIndex}`,
             loopIndex: loopIndex,
             inputs: [],           // InputState[] indexed by tick
+            trace: [],            // TraceState[] indexed by tick (where the player ended up)
+            hashes: [],           // hashState() at each of getHashTicks(endTick), if recorded
             reachedGoal: false,
+            died: false,
             endTick: 0
         };
     },
@@ -38,6 +68,52 @@ const ReplaySystem = {
         };
     },
 
+    /**
+     * Record where the player ended a tick, so ghosts can be checked against it
+     * @param {Recording} recording - The active recording
+     * @param {number} tick - The current localTick (0-indexed)
+     * @param {Object} entity - The player after the tick's updates
+     */
+    recordTrace(recording, tick, entity) {
+        recording.trace[tick] = {
+            x: entity.x,
+            y: entity.y,
+            isDead: entity.isDead
+        };
+    },
+
+    /**
+     * Record the simulation's state hash at a checkpoint (see getHashTicks)
+     * @param {Recording} recording - The active recording
+     * @param {string} hash - Simulation.hashState() after the tick
+     */
+    recordHash(recording, hash) {
+        recording.hashes.push(hash);
+    },
+
+    /**
+     * Ticks a loop that lasted `endTick` ticks has state hashes for: every
+     * HASH_TICKS ticks, then its last tick
+     * @returns {number[]} Ticks played when each hash was taken
+     */
+    getHashTicks(endTick) {
+        const ticks = [];
+        for (let tick = this.HASH_TICKS; tick < endTick; tick += this.HASH_TICKS) {
+            ticks.push(tick);
+        }
+        if (endTick > 0) ticks.push(endTick);
+        return ticks;
+    },
+
+    /**
+     * Get the recorded end-of-tick state for a ghost
+     * @returns {TraceState|null} Null if the recording has no trace for the tick
+     *          (e.g. recordings imported from a replay file)
+     */
+    getTraceAtTick(recording, tick) {
+        return (recording.trace && recording.trace[tick]) || null;
+    },
+
     /**
      * Get input for a ghost at a specific tick
      * @param {Recording} recording - The ghost's recording
@@ -56,14 +132,17 @@ const ReplaySystem = {
      * @param {Recording} recording - The recording to finalize
      * @param {number} endTick - The tick when the loop ended
      * @param {boolean} reachedGoal - Whether the player reached the goal
+     * @param {boolean} [died=false] - Whether the loop ended with the player's death
      * @returns {Recording} The finalized recording
      */
-    finalizeRecording(recording, endTick, reachedGoal) {
+    finalizeRecording(recording, endTick, reachedGoal, died = false) {
         recording.endTick = endTick;
         recording.reachedGoal = reachedGoal;
+        recording.died = died;
 
         // Trim any undefined entries (happens if loop ends early)
         recording.inputs = recording.inputs.slice(0, endTick);
+        recording.trace = recording.trace.slice(0, endTick);
 
         return recording;
     },
@@ -78,26 +157,250 @@ const ReplaySystem = {
         return tick < recording.inputs.length;
     },
 
+    REPLAY_MAGIC: 'TLRP',
+    REPLAY_VERSION: 3,          // 2: swept movement, jump feel and fixed-point physics; 3: state hashes
+    MAX_LEVEL_ID_BYTES: 255,    // Stored behind a u8 length
+    HASH_TICKS: 30,             // Ticks between state hashes
+
+    // Bit per button in a packed input byte
+    BUTTON_BITS: { left: 1, right: 2, up: 4, down: 8, action: 16 },
+
     /**
-     * Export recordings to JSON string (for save/load functionality)
+     * Export recordings as a compact replay string (see REPLAY FILES above)
      * @param {Recording[]} recordings - Array of recordings
-     * @returns {string} JSON representation
+     * @param {Object} level - The level they were recorded on
+     * @returns {string} Base64 replay
+     * @throws {RangeError} If the level id is longer than MAX_LEVEL_ID_BYTES,
+     *         or a recording doesn't have a hash for each of getHashTicks()
      */
-    exportRecordings(recordings) {
-        return JSON.stringify(recordings);
+    exportRecordings(recordings, level) {
+        const bytes = [];
+        const levelId = new TextEncoder().encode(level.id);
+        if (levelId.length > this.MAX_LEVEL_ID_BYTES) {
+            throw new RangeError(`Level id is ${levelId.length} bytes, replays hold at most ${this.MAX_LEVEL_ID_BYTES}`);
+        }
+
+        for (const c of this.REPLAY_MAGIC) bytes.push(c.charCodeAt(0));
+        bytes.push(this.REPLAY_VERSION, CONFIG.TICK_RATE);
+        this.writeUint(bytes, CONFIG.LOOP_TICKS, 2);
+        this.writeUint(bytes, hashLevel(level), 4);
+        bytes.push(levelId.length, ...levelId);
+        this.writeUint(bytes, recordings.length, 2);
+
+        for (const recording of recordings) {
+            const hashCount = this.getHashTicks(recording.endTick).length;
+            if (!recording.hashes || recording.hashes.length !== hashCount) {
+                throw new RangeError(`Loop ${recording.loopIndex} has no state hashes (export the recordings of Simulation.run)`);
+            }
+
+            this.writeUint(bytes, recording.loopIndex, 2);
+            this.writeUint(bytes, recording.endTick, 2);
+            bytes.push((recording.reachedGoal ? 1 : 0) | (recording.died ? 2 : 0));
+
+            const runs = this.packInputs(recording.inputs);
+            this.writeVarint(bytes, runs.length);
+            for (const run of runs) {
+                bytes.push(run.buttons);
+                this.writeVarint(bytes, run.length);
+            }
+            for (const hash of recording.hashes) {
+                this.writeUint(bytes, parseInt(hash, 16), 4);
+            }
+        }
+
+        this.writeUint(bytes, fnv1a(bytes), 4);
+
+        let binary = '';
+        for (const byte of bytes) {
+            binary += String.fromCharCode(byte);
+        }
+        return btoa(binary);
     },
 
     /**
-     * Import recordings from JSON string
-     * @param {string} json - JSON string of recordings
-     * @returns {Recording[]} Parsed recordings or empty array on error
+     * Import recordings from a replay string
+     * @param {string} text - Replay from exportRecordings
+     * @param {Object} level - The level the replay must match
+     * @returns {Recording[]} Recordings, or an empty array if the replay is rejected
      */
-    importRecordings(json) {
+    importRecordings(text, level) {
+        const result = this.decodeReplay(text, level);
+        if (result.error) {
+            console.error('Failed to import recordings:', result.error);
+            return [];
+        }
+        return result.recordings;
+    },
+
+    /**
+     * Decode and verify a replay string
+     * @param {string} text - Replay from exportRecordings
+     * @param {Object} [level] - If given, the replay must have been recorded on it
+     * @returns {{recordings: Recording[]|null, header: Object|null, error: string|null}}
+     */
+    decodeReplay(text, level) {
+        const fail = (error) => ({ recordings: null, header: null, error: error });
+
+        let bytes;
         try {
-            return JSON.parse(json);
+            bytes = Uint8Array.from(atob(String(text).trim()), c => c.charCodeAt(0));
         } catch (e) {
-            console.error('Failed to import recordings:', e);
-            return [];
+            return fail('not a replay (invalid base64)');
+        }
+
+        const magic = String.fromCharCode(...bytes.subarray(0, 4));
+        if (bytes.length < 8 || magic !== this.REPLAY_MAGIC) {
+            return fail('not a replay (bad magic)');
+        }
+
+        const body = bytes.subarray(0, bytes.length - 4);
+        const reader = { bytes: body, offset: 4 };
+        const checksum = this.readUint({ bytes: bytes, offset: bytes.length - 4 }, 4);
+        if (checksum !== fnv1a(body)) {
+            return fail('checksum mismatch (replay is corrupted or was edited)');
+        }
+
+        let header;
+        const recordings = [];
+        try {
+            header = {
+                version: this.readUint(reader, 1),
+                tickRate: this.readUint(reader, 1),
+                loopTicks: this.readUint(reader, 2),
+                levelHash: this.readUint(reader, 4),
+                levelId: new TextDecoder().decode(this.readBytes(reader, this.readUint(reader, 1)))
+            };
+
+            if (header.version !== this.REPLAY_VERSION) {
+                return fail(`unsupported replay version ${header.version}`);
+            }
+
+            const count = this.readUint(reader, 2);
+            for (let i = 0; i < count; i++) {
+                const recording = this.createRecording(this.readUint(reader, 2));
+                recording.endTick = this.readUint(reader, 2);
+
+                const flags = this.readUint(reader, 1);
+                recording.reachedGoal = (flags & 1) !== 0;
+                recording.died = (flags & 2) !== 0;
+
+                const runs = [];
+                let ticks = 0;
+                const runCount = this.readVarint(reader);
+                for (let j = 0; j < runCount; j++) {
+                    runs.push({ buttons: this.readUint(reader, 1), length: this.readVarint(reader) });
+                    ticks += runs[j].length;
+                }
+
+                // Check lengths before expanding, so a bad file can't allocate much
+                if (recording.endTick > header.loopTicks || ticks !== recording.endTick) {
+                    return fail(`loop ${recording.loopIndex} has ${ticks} ticks of input, expected ${recording.endTick}`);
+                }
+
+                recording.inputs = this.unpackInputs(runs);
+                for (let j = this.getHashTicks(recording.endTick).length; j > 0; j--) {
+                    recording.hashes.push(this.readUint(reader, 4).toString(16).padStart(8, '0'));
+                }
+                recordings.push(recording);
+            }
+        } catch (e) {
+            return fail(e.message);
+        }
+
+        if (reader.offset !== body.length) {
+            return fail('unexpected data after the last recording');
+        }
+        if (header.tickRate !== CONFIG.TICK_RATE || header.loopTicks !== CONFIG.LOOP_TICKS) {
+            return fail(`recorded at ${header.tickRate} ticks/s with ${header.loopTicks}-tick loops, ` +
+                `this game runs ${CONFIG.TICK_RATE} ticks/s with ${CONFIG.LOOP_TICKS}-tick loops`);
+        }
+        if (level && header.levelId !== level.id) {
+            return fail(`replay is for level "${header.levelId}", not "${level.id}"`);
+        }
+        if (level && header.levelHash !== hashLevel(level)) {
+            return fail(`level "${level.id}" has changed since the replay was recorded`);
+        }
+
+        return { recordings: recordings, header: header, error: null };
+    },
+
+    /**
+     * Run-length encode inputs as packed button bytes
+     * @returns {{buttons: number, length: number}[]}
+     */
+    packInputs(inputs) {
+        const runs = [];
+        for (const input of inputs) {
+            let buttons = 0;
+            for (const name of Object.keys(this.BUTTON_BITS)) {
+                if (input[name]) buttons |= this.BUTTON_BITS[name];
+            }
+
+            const last = runs[runs.length - 1];
+            if (last && last.buttons === buttons) {
+                last.length++;
+            } else {
+                runs.push({ buttons: buttons, length: 1 });
+            }
+        }
+        return runs;
+    },
+
+    /**
+     * Expand runs back into one InputState per tick
+     */
+    unpackInputs(runs) {
+        const inputs = [];
+        for (const run of runs) {
+            for (let i = 0; i < run.length; i++) {
+                const input = {};
+                for (const name of Object.keys(this.BUTTON_BITS)) {
+                    input[name] = (run.buttons & this.BUTTON_BITS[name]) !== 0;
+                }
+                inputs.push(input);
+            }
+        }
+        return inputs;
+    },
+
+    writeUint(bytes, value, size) {
+        for (let shift = (size - 1) * 8; shift >= 0; shift -= 8) {
+            bytes.push((value >>> shift) & 0xff);
+        }
+    },
+
+    writeVarint(bytes, value) {
+        while (value >= 0x80) {
+            bytes.push((value & 0x7f) | 0x80);
+            value >>>= 7;
+        }
+        bytes.push(value);
+    },
+
+    readBytes(reader, length) {
+        if (reader.offset + length > reader.bytes.length) {
+            throw new Error('replay is truncated');
+        }
+        const bytes = reader.bytes.subarray(reader.offset, reader.offset + length);
+        reader.offset += length;
+        return bytes;
+    },
+
+    readUint(reader, size) {
+        let value = 0;
+        for (const byte of this.readBytes(reader, size)) {
+            value = value * 256 + byte;
+        }
+        return value;
+    },
+
+    readVarint(reader) {
+        let value = 0;
+        for (let shift = 0; shift < 35; shift += 7) {
+            const byte = this.readUint(reader, 1);
+            value += (byte & 0x7f) * Math.pow(2, shift);
+            if ((byte & 0x80) === 0) return value;
         }
+        throw new Error('replay has a malformed run length');
     }
 };
@@ -0,0 +1,318 @@
+/**
+ * save.js - Persistent save data (progress, best runs, settings)
+ *
+ * Everything is kept in one versioned JSON document:
+ *
+ *   {
+ *     version: 2,
+ *     unlocked: { [levelId]: true },
+ *     bests:    { [levelId]: { loops, ticks } },
+ *     replays:  { [levelId]: string },     // Replay string (see replay.js) of the best run
+ *     settings: { ... }                     // see DEFAULT_SETTINGS
+ *   }
+ *
+ * STORAGE: localStorage by default. init() accepts any object with
+ * getItem/setItem/removeItem, e.g. createMemoryBackend() for tests or when
+ * localStorage is unavailable (private browsing, sandboxed iframes).
+ *
+ * VERSIONS: Older saves are upgraded step by step through MIGRATIONS. Saves
+ * that can't be read (bad JSON, newer version, wrong shape) are copied to
+ * BACKUP_KEY and replaced with a fresh save instead of crashing the game;
+ * individual bad entries are dropped while the rest of the save is kept.
+ */
+
+const SaveSystem = {
+    VERSION: 2,
+    STORAGE_KEY: 'timeloop.save',
+    BACKUP_KEY: 'timeloop.save.corrupt',
+
+    DEFAULT_SETTINGS: {
+        editorSnap: true,
+        bindings: {}            // action -> keys, only actions changed from Bindings.DEFAULTS
+    },
+
+    // MIGRATIONS[n] upgrades a version n save to version n + 1
+    MIGRATIONS: {
+        // v1 stored replays as raw JSON recordings; v2 uses the compact
+        // replay format, which needs the level (and the run played again for
+        // its state hashes). Replays of levels that no longer exist are dropped.
+        1(data) {
+            const replays = {};
+
+            for (const id of Object.keys(data.replays || {})) {
+                const level = Levels.data.find(def => def.id === id);
+                try {
+                    if (level) {
+                        const run = Simulation.run(level, JSON.parse(data.replays[id]));
+                        replays[id] = ReplaySystem.exportRecordings(run.recordings, level);
+                    }
+                } catch (e) {
+                    console.warn(`Dropping unreadable replay for ${id}:`, e.message);
+                }
+            }
+
+            return Object.assign({}, data, { version: 2, replays: replays });
+        }
+    },
+
+    backend: null,
+    data: null,
+
+    /**
+     * Load the save from a storage backend
+     * @param {Storage} [backend] - Defaults to localStorage (or memory if unavailable)
+     */
+    init(backend) {
+        this.backend = backend || this.getDefaultBackend();
+        this.data = this.load();
+    },
+
+    /**
+     * localStorage if it works here, otherwise an in-memory store
+     */
+    getDefaultBackend() {
+        try {
+            const storage = window.localStorage;
+            const probe = `${this.STORAGE_KEY}.probe`;
+            storage.setItem(probe, '1');
+            storage.removeItem(probe);
+            return storage;
+        } catch (e) {
+            console.warn('localStorage unavailable, progress will not persist:', e);
+            return this.createMemoryBackend();
+        }
+    },
+
+    /**
+     * Storage backend that lives only as long as the page
+     */
+    createMemoryBackend() {
+        const items = {};
+        return {
+            getItem: (key) => (key in items ? items[key] : null),
+            setItem: (key, value) => { items[key] = String(value); },
+            removeItem: (key) => { delete items[key]; }
+        };
+    },
+
+    /**
+     * A save with nothing unlocked and default settings
+     */
+    createDefault() {
+        return {
+            version: this.VERSION,
+            unlocked: {},
+            bests: {},
+            replays: {},
+            settings: deepClone(this.DEFAULT_SETTINGS)
+        };
+    },
+
+    /**
+     * Read, migrate and sanitize the stored save
+     * @returns {SaveData} Always a usable save
+     */
+    load() {
+        let raw = null;
+        try {
+            raw = this.backend.getItem(this.STORAGE_KEY);
+        } catch (e) {
+            console.warn('Failed to read save:', e);
+        }
+
+        if (raw === null) {
+            return this.createDefault();
+        }
+
+        let data;
+        try {
+            data = this.migrate(JSON.parse(raw));
+        } catch (e) {
+            console.warn('Save data unreadable, starting fresh:', e.message);
+            this.backup(raw);
+            return this.createDefault();
+        }
+
+        return this.sanitize(data);
+    },
+
+    /**
+     * Upgrade a parsed save to the current version
+     * @throws {Error} If the save is not an object or from a newer version
+     */
+    migrate(data) {
+        if (data === null || typeof data !== 'object' || Array.isArray(data)) {
+            throw new Error('save is not an object');
+        }
+        if (!Number.isInteger(data.version) || data.version < 1) {
+            throw new Error(`bad save version ${JSON.stringify(data.version)}`);
+        }
+        if (data.version > this.VERSION) {
+            throw new Error(`save version ${data.version} is newer than ${this.VERSION}`);
+        }
+
+        while (data.version < this.VERSION) {
+            data = this.MIGRATIONS[data.version](data);
+        }
+        return data;
+    },
+
+    /**
+     * Keep only well-formed entries of a current-version save
+     */
+    sanitize(data) {
+        const clean = this.createDefault();
+        const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+        const isCount = (value) => Number.isInteger(value) && value >= 0;
+
+        if (isObject(data.unlocked)) {
+            for (const id of Object.keys(data.unlocked)) {
+                if (data.unlocked[id] === true) clean.unlocked[id] = true;
+            }
+        }
+
+        if (isObject(data.bests)) {
+            for (const id of Object.keys(data.bests)) {
+                const best = data.bests[id];
+                if (isObject(best) && isCount(best.loops) && isCount(best.ticks)) {
+                    clean.bests[id] = { loops: best.loops, ticks: best.ticks };
+                }
+            }
+        }
+
+        // Replays from an older replay version would desync, so they go too
+        if (isObject(data.replays)) {
+            for (const id of Object.keys(data.replays)) {
+                const text = data.replays[id];
+                if (typeof text === 'string' && !ReplaySystem.decodeReplay(text).error) {
+                    clean.replays[id] = text;
+                }
+            }
+        }
+
+        if (isObject(data.settings)) {
+            for (const key of Object.keys(this.DEFAULT_SETTINGS)) {
+                const value = data.settings[key];
+                if (isObject(this.DEFAULT_SETTINGS[key])) continue;
+                if (typeof value === typeof this.DEFAULT_SETTINGS[key]) {
+                    clean.settings[key] = value;
+                }
+            }
+
+            if (isObject(data.settings.bindings)) {
+                for (const action of Object.keys(data.settings.bindings)) {
+                    const keys = data.settings.bindings[action];
+                    if (Array.isArray(keys) && keys.every(key => typeof key === 'string')) {
+                        clean.settings.bindings[action] = keys.slice();
+                    }
+                }
+            }
+        }
+
+        return clean;
+    },
+
+    /**
+     * Keep an unreadable save around for inspection
+     */
+    backup(raw) {
+        try {
+            this.backend.setItem(this.BACKUP_KEY, raw);
+        } catch (e) {
+            console.warn('Failed to back up save:', e);
+        }
+    },
+
+    /**
+     * Write the save to storage
+     * @returns {boolean} True if written
+     */
+    save() {
+        try {
+            this.backend.setItem(this.STORAGE_KEY, JSON.stringify(this.data));
+            return true;
+        } catch (e) {
+            console.warn('Failed to write save:', e);
+            return false;
+        }
+    },
+
+    // ═══════════════════════════════════════════════════════════
+    // PROGRESS
+    // ═══════════════════════════════════════════════════════════
+
+    /**
+     * Mark a level as unlocked
+     */
+    unlock(levelId) {
+        if (!this.data.unlocked[levelId]) {
+            this.data.unlocked[levelId] = true;
+            this.save();
+        }
+    },
+
+    /**
+     * Record a clear, keeping the best loop count and best ticks separately.
+     * The recordings are kept when the run is the best so far (fewest loops,
+     * then fewest ticks), played again by Simulation.run for the replay's
+     * state hashes.
+     * @param {Object} level - The level cleared
+     * @param {number} loops
+     * @param {number} ticks
+     * @param {Recording[]} recordings - The winning run
+     */
+    recordClear(level, loops, ticks, recordings) {
+        const levelId = level.id;
+        const previous = this.data.bests[levelId];
+        const isBestRun = !previous || !this.data.replays[levelId] ||
+            loops < previous.loops || (loops === previous.loops && ticks < previous.ticks);
+
+        this.data.bests[levelId] = previous
+            ? { loops: Math.min(previous.loops, loops), ticks: Math.min(previous.ticks, ticks) }
+            : { loops: loops, ticks: ticks };
+
+        if (isBestRun) {
+            try {
+                const run = Simulation.run(level, recordings);
+                this.data.replays[levelId] = ReplaySystem.exportRecordings(run.recordings, level);
+            } catch (e) {
+                console.warn(`Not saving the replay for ${levelId}:`, e.message);
+            }
+        }
+
+        this.save();
+    },
+
+    /**
+     * Recordings of the best run of a level
+     * @returns {Recording[]|null} Null if there is none or it no longer matches the level
+     */
+    getBestReplay(level) {
+        const text = this.data.replays[level.id];
+        if (!text) return null;
+
+        const recordings = ReplaySystem.importRecordings(text, level);
+        return recordings.length > 0 ? recordings : null;
+    },
+
+    // ═══════════════════════════════════════════════════════════
+    // SETTINGS
+    // ═══════════════════════════════════════════════════════════
+
+    getSetting(key) {
+        return this.data.settings[key];
+    },
+
+    setSetting(key, value) {
+        this.data.settings[key] = value;
+        this.save();
+    },
+
+    /**
+     * Erase all progress and settings
+     */
+    reset() {
+        this.data = this.createDefault();
+        this.save();
+    }
+};
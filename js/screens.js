@@ -0,0 +1,139 @@
+/**
+ * screens.js - DOM overlays shown over the canvas (results, pause, ...)
+ *
+ * Presentation only: screens display state handed to them and never change
+ * the simulation. Only one overlay is shown at a time; `current` names it.
+ */
+
+const Screens = {
+    current: null,          // 'results' | 'campaign-complete' | 'playtest-results' | 'pause' | null
+
+    // Overlay elements
+    resultsElement: null,
+    pauseElement: null,
+
+    /**
+     * Look up overlay elements
+     */
+    init() {
+        this.resultsElement = document.getElementById('level-complete');
+        this.resultsTitle = document.getElementById('results-title');
+        this.resultsSubtitle = document.getElementById('results-subtitle');
+        this.resultsStats = document.getElementById('results-stats');
+        this.resultsHint = document.getElementById('results-hint');
+        this.pauseElement = document.getElementById('pause-overlay');
+    },
+
+    /**
+     * Show the results of a cleared level
+     * @param {LevelResult} result - From Campaign.completeLevel
+     */
+    showResults(result) {
+        this.resultsTitle.textContent = 'Level Complete!';
+        this.resultsSubtitle.textContent = `${result.levelIndex + 1}. ${result.levelName}`;
+
+        this.setStats([
+            ['Loops used', result.loops],
+            ['Total time', this.formatTicks(result.totalTicks)],
+            ['Best', `${result.best.loops} loop(s) · ${this.formatTicks(result.best.ticks)}${result.isNewBest ? ' (new!)' : ''}`]
+        ]);
+
+        this.resultsHint.textContent = `Press ${this.key('advance')} ` + (result.isFinal
+            ? 'to finish the campaign'
+            : 'for the next level') + ` · ${this.key('replay')} to watch the replay`;
+
+        this.show('results');
+    },
+
+    /**
+     * Show the results of a playtest started from the editor
+     */
+    showPlaytestResults(level, event) {
+        this.resultsTitle.textContent = 'Playtest Complete!';
+        this.resultsSubtitle.textContent = level.name;
+
+        this.setStats([
+            ['Loops used', event.loops],
+            ['Total time', this.formatTicks(event.totalTicks)]
+        ]);
+
+        this.resultsHint.textContent = `Press ${this.key('advance')} to return to the editor · ${this.key('replay')} to watch the replay`;
+        this.show('playtest-results');
+    },
+
+    /**
+     * Show the end-of-campaign summary
+     */
+    showCampaignComplete(summary) {
+        this.resultsTitle.textContent = 'Campaign Complete!';
+        this.resultsSubtitle.textContent = `${summary.levels.length} level(s) cleared`;
+
+        this.setStats([
+            ...summary.levels.map(r => [
+                r.levelName,
+                `${r.loops} loop(s) · ${this.formatTicks(r.totalTicks)}`
+            ]),
+            ['Total', `${summary.totalLoops} loop(s) · ${this.formatTicks(summary.totalTicks)}`]
+        ]);
+
+        this.resultsHint.textContent = `Press ${this.key('advance')} to play again`;
+        this.show('campaign-complete');
+    },
+
+    /**
+     * Show or hide the pause overlay
+     */
+    setPaused(paused) {
+        if (paused) {
+            this.show('pause');
+        } else if (this.current === 'pause') {
+            this.hide();
+        }
+    },
+
+    /**
+     * Fill the stats list with [label, value] rows
+     */
+    setStats(rows) {
+        this.resultsStats.innerHTML = '';
+
+        for (const [label, value] of rows) {
+            const dt = document.createElement('dt');
+            const dd = document.createElement('dd');
+            dt.textContent = label;
+            dd.textContent = value;
+            this.resultsStats.append(dt, dd);
+        }
+    },
+
+    /**
+     * Show one overlay, hiding the others
+     */
+    show(name) {
+        this.current = name;
+        this.resultsElement.classList.toggle('show',
+            name === 'results' || name === 'campaign-complete' || name === 'playtest-results');
+        this.pauseElement.classList.toggle('show', name === 'pause');
+    },
+
+    /**
+     * Hide every overlay
+     */
+    hide() {
+        this.show(null);
+    },
+
+    /**
+     * Name of the key bound to a meta action, for hints
+     */
+    key(action) {
+        return Bindings.describeAction(action);
+    },
+
+    /**
+     * Format a tick count as "734 ticks (12.23s)"
+     */
+    formatTicks(ticks) {
+        return `${ticks} ticks (${(ticks / CONFIG.TICK_RATE).toFixed(2)}s)`;
+    }
+};
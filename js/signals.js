@@ -0,0 +1,276 @@
+/**
+ * signals.js - Logic wiring between emitters and receivers
+ *
+ * Levels wire their interactive pieces through a small signal graph:
+ *
+ *   EMITTERS  produce a boolean every tick
+ *     - switch: pressed
+ *     - laser:  blocked (read from the previous tick, see below)
+ *
+ *   NODES     declared in level.logic, each with a unique id
+ *     - { id, type: 'and' | 'or' | 'xor', inputs: [ref, ...] }
+ *     - { id, type: 'not',   input: ref }
+ *     - { id, type: 'delay', input: ref, ticks }   output = input from `ticks` ago
+ *     - { id, type: 'timer', input: ref, ticks }   true for `ticks` after a rising edge
+ *     - { id, type: 'latch', set: ref, reset: ref } stays true once set, reset wins
+ *
+ *   RECEIVERS take a boolean
+ *     - door:  open
+ *     - laser: on (an unwired laser is always on)
+ *     - platform: moving (an unwired platform always moves)
+ *
+ * A ref is the id of an emitter entity or of another node. A receiver picks
+ * its input with `signal: ref`. Receivers without `signal` fall back to the
+ * classic wiring: every emitter whose linkedIds contains the receiver's id
+ * (listed on the receiver as linkedFrom by Levels.createEntities) feeds an
+ * implicit OR gate (AND when the receiver sets requiresBoth).
+ *
+ * DETERMINISM: Nodes are evaluated in dependency order, once per tick, after
+ * switches update and before lasers do. Laser-blocked emitters therefore read
+ * the state computed on the previous tick, which keeps a laser that drives its
+ * own receivers well-defined. Stateful nodes (delay, timer, latch) are created
+ * fresh with the graph at the start of every loop.
+ */
+
+const Signals = {
+    // Node types whose output is a pure function of their inputs this tick
+    COMBINATIONAL: ['and', 'or', 'xor', 'not'],
+
+    // Node types that carry state across ticks
+    SEQUENTIAL: ['delay', 'timer', 'latch'],
+
+    /**
+     * Build the signal graph for a loop
+     * @param {Object[]} logic - Node definitions from level.logic
+     * @param {Object[]} entities - Entities created for this loop
+     * @returns {SignalGraph} Graph ready for update()
+     */
+    createGraph(logic, entities) {
+        const graph = {
+            emitters: {},       // id -> emitter entity
+            nodes: [],          // Nodes in evaluation order
+            receivers: [],      // { entity, ref }
+            values: {}          // ref -> value for the current tick
+        };
+
+        for (const entity of entities) {
+            if (this.isEmitter(entity)) {
+                graph.emitters[entity.id] = entity;
+            }
+        }
+
+        const defs = {};
+        for (const def of logic) {
+            defs[def.id] = this.createNode(def);
+        }
+
+        // Implicit gates for receivers wired the classic way (linkedIds)
+        for (const entity of entities) {
+            if (!this.isReceiver(entity)) continue;
+
+            if (entity.signal !== undefined) {
+                graph.receivers.push({ entity: entity, ref: entity.signal });
+                continue;
+            }
+
+            const sources = entity.linkedFrom;
+
+            if (sources.length > 0) {
+                const ref = `${entity.id}:links`;
+                defs[ref] = this.createNode({
+                    id: ref,
+                    type: entity.requiresBoth ? 'and' : 'or',
+                    inputs: sources
+                });
+                graph.receivers.push({ entity: entity, ref: ref });
+            }
+        }
+
+        graph.nodes = this.sortNodes(defs, graph.emitters);
+        return graph;
+    },
+
+    /**
+     * Create a runtime node from its definition
+     */
+    createNode(def) {
+        const node = {
+            id: def.id,
+            type: def.type,
+            inputs: [],
+            ticks: def.ticks || 0,
+            state: null
+        };
+
+        switch (def.type) {
+            case 'and':
+            case 'or':
+            case 'xor':
+                node.inputs = def.inputs || [];
+                break;
+
+            case 'not':
+                node.inputs = [def.input];
+                break;
+
+            case 'delay':
+                node.inputs = [def.input];
+                node.state = new Array(node.ticks).fill(false);
+                break;
+
+            case 'timer':
+                node.inputs = [def.input];
+                node.state = { previous: false, remaining: 0 };
+                break;
+
+            case 'latch':
+                node.inputs = [def.set, def.reset];
+                node.state = false;
+                break;
+
+            default:
+                console.warn('Unknown logic node type:', def.type);
+        }
+
+        return node;
+    },
+
+    /**
+     * Order nodes so every node comes after the nodes it reads
+     * Nodes that are part of a cycle or read a missing ref are dropped with a
+     * warning; receivers reading them stay at their default state.
+     */
+    sortNodes(defs, emitters) {
+        const ordered = [];
+        const visiting = {};
+        const done = {};
+
+        const visit = (id) => {
+            if (done[id] !== undefined) return done[id];
+            if (emitters[id]) return true;
+
+            const node = defs[id];
+            if (!node) {
+                console.warn('Unknown signal ref:', id);
+                return false;
+            }
+            if (visiting[id]) {
+                console.warn('Signal cycle through node:', id);
+                return false;
+            }
+
+            visiting[id] = true;
+            const ok = node.inputs.every(visit);
+            visiting[id] = false;
+
+            done[id] = ok;
+            if (ok) ordered.push(node);
+            return ok;
+        };
+
+        for (const id of Object.keys(defs)) {
+            visit(id);
+        }
+
+        return ordered;
+    },
+
+    /**
+     * Evaluate the graph for this tick and drive every receiver
+     */
+    update(graph) {
+        const values = graph.values;
+
+        for (const id of Object.keys(graph.emitters)) {
+            values[id] = this.readEmitter(graph.emitters[id]);
+        }
+
+        for (const node of graph.nodes) {
+            values[node.id] = this.evaluateNode(node, node.inputs.map(ref => values[ref]));
+        }
+
+        for (const receiver of graph.receivers) {
+            const value = values[receiver.ref];
+            if (value !== undefined) {
+                Entities.receiveSignal(receiver.entity, value);
+            }
+        }
+    },
+
+    /**
+     * Compute a node's output from its input values
+     */
+    evaluateNode(node, inputs) {
+        switch (node.type) {
+            case 'and':
+                return inputs.length > 0 && inputs.every(Boolean);
+
+            case 'or':
+                return inputs.some(Boolean);
+
+            case 'xor':
+                return inputs.filter(Boolean).length % 2 === 1;
+
+            case 'not':
+                return !inputs[0];
+
+            case 'delay': {
+                if (node.ticks === 0) return Boolean(inputs[0]);
+                const output = node.state.shift();
+                node.state.push(Boolean(inputs[0]));
+                return output;
+            }
+
+            case 'timer': {
+                const input = Boolean(inputs[0]);
+                if (input && !node.state.previous) {
+                    node.state.remaining = node.ticks;
+                }
+                node.state.previous = input;
+
+                const output = node.state.remaining > 0;
+                if (output) node.state.remaining--;
+                return output;
+            }
+
+            case 'latch':
+                if (inputs[1]) {
+                    node.state = false;
+                } else if (inputs[0]) {
+                    node.state = true;
+                }
+                return node.state;
+
+            default:
+                return false;
+        }
+    },
+
+    /**
+     * Current output of an emitter entity
+     */
+    readEmitter(entity) {
+        switch (entity.type) {
+            case 'switch':
+                return entity.isPressed;
+            case 'laser':
+                return entity.isBlocked;
+            default:
+                return false;
+        }
+    },
+
+    /**
+     * Check if an entity produces a signal
+     */
+    isEmitter(entity) {
+        return entity.type === 'switch' || entity.type === 'laser';
+    },
+
+    /**
+     * Check if an entity is driven by a signal
+     */
+    isReceiver(entity) {
+        return entity.type === 'door' || entity.type === 'laser' || entity.type === 'platform';
+    }
+};
@@ -0,0 +1,837 @@
+/**
+ * simulation.js - Headless, deterministic simulation core
+ *
+ * The simulation owns everything that happens inside a tick: player and ghost
+ * physics, world entity updates, win conditions and loop boundaries. It never
+ * touches the DOM, the canvas, timers or real time, so the same code runs in
+ * the browser (wrapped by Game) and in Node (see tools/headless.js).
+ *
+ * A simulation is a plain state object created by Simulation.create() and
+ * advanced one tick at a time with Simulation.tick(sim, inputState). The
+ * caller supplies the player's input for the tick; ghosts read theirs from
+ * the recordings of previous loops.
+ *
+ * Each tick returns an array of events describing what happened, e.g.
+ *   { type: 'death', entity, loopIndex, x, y, cause }
+ *   { type: 'paradox', ghost, loopIndex, tick, x, y, expectedX, expectedY, mode }
+ *   { type: 'loop-end', loopIndex, reachedGoal, died, paradox, rerecorded, winRejected, endTick }
+ *   { type: 'level-complete', loops, totalTicks }
+ * so wrappers can react (UI, sound, logging) without polling state.
+ *
+ * All simulation math is fixed-point (see Fixed in utils.js) and entity ids
+ * are seeded (see Levels.createEntities), so the same inputs give the same
+ * hashState() in every browser and in Node.
+ */
+
+const Simulation = {
+    // Fields of a player or ghost that hashState covers
+    BODY_STATE: [
+        'x', 'y', 'vx', 'vy', 'grounded', 'facingRight', 'isActive', 'isDead',
+        'wasAction', 'coyoteTicks', 'jumpBuffer', 'jumping'
+    ],
+
+    // Fields of each entity type that change during a loop (hashState)
+    ENTITY_STATE: {
+        switch: ['isPressed'],
+        door: ['isOpen'],
+        laser: ['isOn', 'isBlocked'],
+        platform: ['x', 'y', 'distance', 'direction', 'isPowered'],
+        crate: ['x', 'y', 'vx', 'vy', 'grounded'],
+        goal: ['isReached']
+    },
+
+    /**
+     * Create a simulation for a level
+     * @param {Object} level - Level definition (Levels.data shape)
+     * @param {Object} [options]
+     * @param {Recording[]} [options.recordings] - Input streams of earlier loops, replayed as ghosts
+     * @param {boolean} [options.autoAdvance=true] - Start the next loop when one ends;
+     *        when false the simulation stops at the end of the loop (loopEnded)
+     * @param {boolean} [options.hashes=false] - Record state hashes for replay
+     *        files (see ReplaySystem.getHashTicks); off by default as they cost a hashState()
+     * @param {boolean} [options.checkWins=true] - Count a win only if the recordings
+     *        replay to it (see endLoop); run's own play needs no check
+     * @returns {SimulationState} A simulation positioned at tick 0 of the next loop
+     */
+    create(level, options = {}) {
+        const recordings = options.recordings ? options.recordings.slice() : [];
+
+        const sim = {
+            level: level,
+            world: Levels.getWorldSize(level),    // { width, height } in pixels
+            jump: Levels.getJumpSettings(level),
+
+            globalTick: 0,      // Ticks simulated since start, including deleted loops (see getTotalTicks)
+            localTick: 0,       // Current tick within loop [0..LOOP_TICKS-1]
+            loopIndex: recordings.length + 1,
+
+            player: null,
+            ghosts: [],
+            entities: [],
+            broadphase: null,   // Grids of solids and lasers, null in small levels (see createBroadphase)
+            signals: null,      // Signal graph wiring the entities (see signals.js)
+
+            currentRecording: null,
+            recordings: recordings,
+            rerecordIndex: null,    // Index of the loop being re-recorded, if any
+
+            levelComplete: false,
+            loopEnded: false,
+            autoAdvance: options.autoAdvance !== false,
+            recordHashes: options.hashes === true,
+            checkWins: options.checkWins !== false
+        };
+
+        this.startNewLoop(sim);
+        return sim;
+    },
+
+    /**
+     * Advance the simulation by exactly one tick
+     *
+     * UPDATE ORDER (critical for determinism):
+     * 1. Record input
+     * 2. Update player
+     * 3. Update ghosts (in spawn order)
+     * 4. Update world entities
+     * 5. Record the player's trace, check ghosts against theirs
+     * 6. Check conditions
+     * 7. Advance tick counter
+     * 8. Record a state hash (every ReplaySystem.HASH_TICKS ticks and at the loop's end)
+     * 9. End the loop
+     *
+     * @param {SimulationState} sim - The simulation to advance
+     * @param {InputState} inputState - Player input sampled for this tick
+     * @returns {Object[]} Events raised during the tick
+     */
+    tick(sim, inputState) {
+        const events = [];
+        if (sim.levelComplete || sim.loopEnded) return events;
+
+        // ─── 1. INPUT RECORDING ─────────────────────────────────
+        ReplaySystem.recordTick(sim.currentRecording, sim.localTick, inputState);
+
+        // ─── 2. PLAYER UPDATE ───────────────────────────────────
+        this.updatePlayer(sim, inputState);
+
+        // ─── 3. GHOST UPDATES ───────────────────────────────────
+        // Update in spawn order (oldest ghost first) for consistency
+        for (let i = 0; i < sim.ghosts.length; i++) {
+            this.updateGhost(sim, sim.ghosts[i]);
+        }
+
+        // ─── 4. WORLD ENTITY UPDATES ────────────────────────────
+        this.updateWorldEntities(sim, events);
+
+        // ─── 5. TIMELINE CHECKS ─────────────────────────────────
+        ReplaySystem.recordTrace(sim.currentRecording, sim.localTick, sim.player);
+        const paradoxFailed = this.checkParadoxes(sim, events) && this.getParadoxMode(sim) === 'fail';
+
+        // ─── 6. CONDITION CHECKS ────────────────────────────────
+        // A dead player ends the loop early (it is kept as a failure); in
+        // 'fail' levels a paradox ends it too (it is thrown away, see endLoop)
+        const reachedGoal = !sim.player.isDead && !paradoxFailed && this.checkWinCondition(sim);
+        const loopOver = reachedGoal || sim.player.isDead || paradoxFailed;
+
+        // ─── 7. TICK ADVANCEMENT ────────────────────────────────
+        sim.localTick++;
+        sim.globalTick++;
+
+        // ─── 8. STATE HASH ──────────────────────────────────────
+        const loopEnds = loopOver || sim.localTick >= CONFIG.LOOP_TICKS;
+        if (sim.recordHashes && (loopEnds || sim.localTick % ReplaySystem.HASH_TICKS === 0)) {
+            ReplaySystem.recordHash(sim.currentRecording, this.hashState(sim));
+        }
+
+        // ─── 9. LOOP BOUNDARY CHECK ─────────────────────────────
+        if (loopEnds) {
+            this.endLoop(sim, reachedGoal, events, paradoxFailed);
+        }
+
+        return events;
+    },
+
+    /**
+     * Update player based on input
+     */
+    updatePlayer(sim, input) {
+        const player = sim.player;
+        if (!player.isActive) return;
+
+        const bodies = this.getSolidBodies(sim, player);
+        Physics.applyInput(player, input, sim.jump);
+        Physics.applyPhysics(player);
+        this.moveEntity(sim, player, bodies);
+        this.updateCarrying(sim, player, input);
+    },
+
+    /**
+     * Update ghost using recorded input
+     */
+    updateGhost(sim, ghost) {
+        if (!ghost.isActive) return;
+
+        // Get recorded input for this tick (deterministic playback)
+        const input = ReplaySystem.getInputAtTick(ghost.recording, sim.localTick);
+        if (!input) {
+            ghost.isActive = false;
+            Entities.releaseCrate(ghost);
+            return;
+        }
+
+        const bodies = this.getSolidBodies(sim, ghost);
+        Physics.applyInput(ghost, input, sim.jump);
+        Physics.applyPhysics(ghost);
+        this.moveEntity(sim, ghost, bodies);
+        this.updateCarrying(sim, ghost, input);
+    },
+
+    /**
+     * Pick up or drop a crate when action is pressed, and carry it
+     *
+     * Only the tick action goes down counts (wasAction is part of the body's
+     * state), so ghosts repeat their pickups exactly. When several bodies
+     * reach for the same crate, the first updated (player, then ghosts in
+     * spawn order) gets it; each body takes the first free crate in level order.
+     */
+    updateCarrying(sim, body, input) {
+        const pressed = input.action && !body.wasAction;
+        body.wasAction = input.action;
+
+        if (pressed) {
+            if (body.carrying) {
+                this.dropCrate(sim, body);
+            } else {
+                const crate = sim.entities.find(e =>
+                    e.type === 'crate' && !e.heldBy && Entities.canReach(body, e)
+                );
+                if (crate) {
+                    Entities.pickUpCrate(body, crate);
+                }
+            }
+        }
+
+        if (body.carrying) {
+            Entities.holdCrate(body);
+        }
+    },
+
+    /**
+     * Put a carried crate down in front of its holder
+     *
+     * The crate slides out from the holder's feet to the spot in front, so a
+     * wall or closed door there stops it on the holder's side rather than
+     * the crate being pushed out through the far side.
+     */
+    dropCrate(sim, body) {
+        const crate = Entities.releaseCrate(body);
+        const frontX = body.facingRight ? body.x + body.width : body.x - crate.width;
+
+        crate.x = body.x + (body.width - crate.width) / 2;
+        crate.y = body.y + body.height - crate.height;
+        crate.vx = frontX - crate.x;
+        this.moveEntity(sim, crate);
+        crate.vx = 0;
+    },
+
+    /**
+     * Move an entity by its velocity through the level (Physics.moveAndCollide)
+     */
+    moveEntity(sim, entity, bodies = []) {
+        this.collideNearby(sim, entity, (solids, area) =>
+            Physics.moveAndCollide(entity, solids, sim.world, bodies, area)
+        );
+    },
+
+    /**
+     * Push an entity out of the solids it overlaps (Physics.resolveCollisions)
+     */
+    resolveCollisions(sim, entity, bodies = []) {
+        this.collideNearby(sim, entity, (solids, area) =>
+            Physics.resolveCollisions(entity, solids, sim.world, bodies, area)
+        );
+    },
+
+    /**
+     * Run a collision step against only the solids near the entity
+     *
+     * Candidates come from the broadphase in level order, for the area the
+     * entity can reach with its velocity, so the outcome is the same as
+     * checking every entity. In the rare case a push carries the entity out
+     * of that area, it is restored and the step runs against everything.
+     *
+     * @param {Function} collide - (solids, area) => false if the entity left area
+     */
+    collideNearby(sim, entity, collide) {
+        if (sim.broadphase) {
+            const swept = {
+                x: Math.min(entity.x, entity.x + entity.vx),
+                y: Math.min(entity.y, entity.y + entity.vy),
+                width: entity.width + Math.abs(entity.vx),
+                height: entity.height + Math.abs(entity.vy)
+            };
+            const area = SpatialGrid.expand(swept, Math.max(entity.width, entity.height));
+            const before = { x: entity.x, y: entity.y, vx: entity.vx, vy: entity.vy, grounded: entity.grounded };
+
+            if (collide(SpatialGrid.query(sim.broadphase.solids, area), area)) return;
+
+            Object.assign(entity, before);
+        }
+
+        collide(sim.entities, null);
+    },
+
+    /**
+     * Solids that might overlap a box
+     */
+    getSolidsNear(sim, box) {
+        return sim.broadphase ? SpatialGrid.query(sim.broadphase.solids, box) : sim.entities;
+    },
+
+    /**
+     * Build the broadphase for a loop's entities: one grid of everything that
+     * can be solid (walls, doors, platforms) and one of lasers, each keyed by
+     * level order. Small levels get none (null).
+     */
+    createBroadphase(entities) {
+        const count = entities.filter(e => Physics.isGeometry(e) || e.type === 'laser').length;
+        if (count < CONFIG.BROADPHASE_MIN) return null;
+
+        const broadphase = { solids: SpatialGrid.create(), lasers: SpatialGrid.create() };
+        entities.forEach((entity, i) => {
+            if (Physics.isGeometry(entity)) {
+                SpatialGrid.insert(broadphase.solids, entity, i);
+            } else if (entity.type === 'laser') {
+                SpatialGrid.insert(broadphase.lasers, Entities.getBeamBox(entity), i);
+            }
+        });
+        return broadphase;
+    },
+
+    /**
+     * Bodies an entity collides with this tick, taken before it moves
+     *
+     * With `solidGhosts` the player, active ghosts and husks are solid to
+     * each other (in spawn order, see Physics.resolveCollisions); otherwise
+     * they pass through one another. Bodies already overlapping the entity
+     * are left out until they separate - everyone spawns on the same spot.
+     */
+    getSolidBodies(sim, entity) {
+        if (!sim.level.solidGhosts) return [];
+
+        return [sim.player, ...sim.ghosts].filter(body =>
+            body !== entity &&
+            (body.isActive || body.isDead) &&
+            !aabbOverlap(body, entity)
+        );
+    },
+
+    /**
+     * Update switches, doors, lasers based on entity positions
+     */
+    updateWorldEntities(sim, events) {
+        // Get all solid entities (player + active ghosts)
+        const solidEntities = [sim.player, ...sim.ghosts.filter(g => g.isActive)];
+
+        // Crates fall unless carried; loose ones press switches like bodies
+        const crates = sim.entities.filter(e => e.type === 'crate');
+        for (const crate of crates) {
+            if (!crate.heldBy) {
+                Physics.applyPhysics(crate);
+                this.moveEntity(sim, crate);
+            }
+        }
+        const pressers = [...solidEntities.filter(e => e.isActive), ...crates.filter(c => !c.heldBy)];
+
+        // Bodies of dead ghosts lie where they fell and block beams, as do crates
+        const blockers = [...sim.ghosts.filter(g => g.isDead), ...crates];
+
+        for (const entity of sim.entities) {
+            if (entity.type === 'switch') {
+                Entities.updateSwitch(entity, pressers);
+            }
+        }
+
+        // Propagate switch (and last tick's laser) states to doors, lasers and platforms
+        Signals.update(sim.signals);
+
+        this.updatePlatforms(sim, crates, events);
+
+        // Update lasers, collecting everything caught in a live beam
+        const hits = [];
+        const nearby = sim.broadphase ? this.getLaserCandidates(sim, blockers, solidEntities) : null;
+        for (const entity of sim.entities) {
+            if (entity.type === 'laser') {
+                const near = nearby ? nearby.get(entity) : { blockers: blockers, bodies: solidEntities };
+                for (const body of Entities.updateLaser(entity, near.blockers, near.bodies)) {
+                    if (!hits.includes(body)) hits.push(body);
+                }
+            }
+        }
+
+        // Kill after all lasers are checked so beam order doesn't matter
+        for (const body of hits) {
+            this.killEntity(sim, body, 'laser', events);
+        }
+    },
+
+    /**
+     * The blockers and bodies near each laser's beam (needs a broadphase)
+     *
+     * Lasers don't move, so their beams sit in a grid and each body looks up
+     * the beams around it; the lists keep the order of `blockers` and `bodies`.
+     *
+     * @returns {Map} laser -> { blockers, bodies }
+     */
+    getLaserCandidates(sim, blockers, bodies) {
+        const nearby = new Map();
+        for (const entity of sim.entities) {
+            if (entity.type === 'laser') {
+                nearby.set(entity, { blockers: [], bodies: [] });
+            }
+        }
+
+        const collect = (list, field) => {
+            for (const entity of list) {
+                for (const box of SpatialGrid.query(sim.broadphase.lasers, entity)) {
+                    nearby.get(box.laser)[field].push(entity);
+                }
+            }
+        };
+        collect(blockers, 'blockers');
+        collect(bodies, 'bodies');
+
+        return nearby;
+    },
+
+    /**
+     * Compare every ghost with the trace its loop recorded
+     *
+     * Ghosts replay inputs, not positions, so a changed world (a door now
+     * closed, a loop re-recorded) can send a ghost somewhere its loop never
+     * went. A ghost that ends a tick more than CONFIG.PARADOX_TOLERANCE away
+     * from its recorded position, or dies when it didn't (or survives when it
+     * didn't), is in paradox. Each ghost is reported once, with `ghost.paradox`
+     * set to where the divergence happened.
+     *
+     * @returns {boolean} True if a ghost entered paradox this tick
+     */
+    checkParadoxes(sim, events) {
+        let found = false;
+
+        for (const ghost of sim.ghosts) {
+            // Finished ghosts have nothing left to compare
+            if (ghost.paradox || (!ghost.isActive && !ghost.isDead)) continue;
+
+            const expected = ReplaySystem.getTraceAtTick(ghost.recording, sim.localTick);
+            if (!expected) continue;
+
+            const drift = Math.max(Math.abs(ghost.x - expected.x), Math.abs(ghost.y - expected.y));
+            if (drift <= CONFIG.PARADOX_TOLERANCE && ghost.isDead === expected.isDead) continue;
+
+            ghost.paradox = { tick: sim.localTick, x: expected.x, y: expected.y };
+            found = true;
+
+            events.push({
+                type: 'paradox',
+                ghost: ghost,
+                loopIndex: ghost.recording.loopIndex,
+                tick: sim.localTick,
+                x: ghost.x,
+                y: ghost.y,
+                expectedX: expected.x,
+                expectedY: expected.y,
+                mode: this.getParadoxMode(sim)
+            });
+        }
+
+        return found;
+    },
+
+    /**
+     * What a paradox does in this level: 'highlight' (default), 'fail' or 'rerecord'
+     */
+    getParadoxMode(sim) {
+        return sim.level.paradox || 'highlight';
+    },
+
+    /**
+     * Move platforms, carrying what stands on them and pushing what they hit
+     *
+     * Platforms move after bodies have (so riders are found resting on top)
+     * and in level order. Riders move by the platform's delta; bodies the
+     * platform runs into are pushed out in its direction of travel. A body
+     * that ends up inside other geometry is crushed - except riders carried
+     * sideways into a wall, which are just stopped by it. Crates are never
+     * crushed; they are pushed back out of the geometry instead.
+     */
+    updatePlatforms(sim, crates, events) {
+        const platforms = sim.entities.filter(e => e.type === 'platform');
+        if (platforms.length === 0) return;
+
+        const movers = [
+            ...[sim.player, ...sim.ghosts].filter(body => body.isActive),
+            ...crates.filter(crate => !crate.heldBy)
+        ];
+
+        for (const platform of platforms) {
+            const riders = movers.filter(body => Physics.isStandingOn(body, platform));
+
+            Entities.advancePlatform(platform);
+            if (platform.dx === 0 && platform.dy === 0) continue;
+            if (sim.broadphase) SpatialGrid.move(sim.broadphase.solids, platform);
+
+            for (const body of movers) {
+                const isRider = riders.includes(body);
+                const isPushed = !isRider && aabbOverlap(body, platform);
+                if (!isRider && !isPushed) continue;
+
+                if (isRider) {
+                    body.x += platform.dx;
+                    body.y += platform.dy;
+                } else {
+                    Physics.pushOut(body, platform);
+                }
+                if (body.carrying) {
+                    Entities.holdCrate(body);
+                }
+
+                if (!Physics.overlapsSolid(body, this.getSolidsNear(sim, body), platform)) continue;
+
+                const crushed = isPushed || platform.dy < 0;
+                if (crushed && body.type !== 'crate') {
+                    this.killEntity(sim, body, 'crush', events);
+                } else {
+                    this.resolveCollisions(sim, body);
+                }
+            }
+        }
+    },
+
+    /**
+     * Kill the player or a ghost and report it
+     */
+    killEntity(sim, entity, cause, events) {
+        Entities.kill(entity);
+
+        events.push({
+            type: 'death',
+            entity: entity,
+            loopIndex: entity.type === 'ghost' ? entity.recording.loopIndex : sim.loopIndex,
+            x: entity.x,
+            y: entity.y,
+            cause: cause
+        });
+    },
+
+    /**
+     * Check if player reached the goal
+     * @returns {boolean} True if the player is touching the goal this tick
+     */
+    checkWinCondition(sim) {
+        const goal = sim.entities.find(e => e.type === 'goal');
+        return Boolean(goal && sim.player.isActive && aabbOverlap(sim.player, goal));
+    },
+
+    /**
+     * Start a new loop: reset player, spawn ghosts, reset world
+     */
+    startNewLoop(sim) {
+        const spawn = sim.level.spawnPoint;
+        sim.localTick = 0;
+
+        // Create new recording via ReplaySystem
+        sim.currentRecording = ReplaySystem.createRecording(sim.loopIndex);
+
+        const spawnX = Fixed.snap(spawn.x);
+        const spawnY = Fixed.snap(spawn.y);
+
+        // Reset player
+        sim.player = Entities.createPlayer(spawnX, spawnY);
+
+        // Spawn ghosts from all previous recordings (except one being re-recorded)
+        sim.ghosts = sim.recordings
+            .filter((recording, i) => i !== sim.rerecordIndex)
+            .map(recording => Entities.createGhost(spawnX, spawnY, recording));
+
+        // Reset world entities and their wiring
+        sim.entities = Levels.createEntities(sim.level);
+        sim.broadphase = this.createBroadphase(sim.entities);
+        sim.signals = Signals.createGraph(sim.level.logic || [], sim.entities);
+    },
+
+    /**
+     * End current loop, store its recording and start the next one
+     *
+     * A loop ended by a paradox is not stored: as a ghost it would cause the
+     * same paradox in every later loop. The same loop (or re-record) is
+     * played again instead.
+     *
+     * A win only counts if the recordings, played in order from the first
+     * loop (see run), reach the goal too; the played recordings then replace
+     * ours. Edits can make a win that doesn't replay: a re-record plays with
+     * the loops after it as ghosts, and can win with help from loops recorded
+     * later. Such a loop is kept as an ordinary one, with `winRejected` set on
+     * the loop-end event.
+     *
+     * @param {SimulationState} sim
+     * @param {boolean} reachedGoal - Whether the player reached the goal
+     * @param {Object[]} events - Event list for the current tick
+     * @param {boolean} [paradox=false] - Whether a paradox ended the loop
+     */
+    endLoop(sim, reachedGoal, events, paradox = false) {
+        const died = sim.player.isDead;
+        const slot = sim.rerecordIndex;
+
+        let replayed = null;
+        if (reachedGoal && sim.checkWins) {
+            const recordings = sim.recordings.slice();
+            recordings[slot === null ? recordings.length : slot] = sim.currentRecording;
+            replayed = this.run(sim.level, recordings);
+        }
+        const winRejected = replayed !== null && !replayed.levelComplete;
+        if (winRejected) {
+            reachedGoal = false;
+        }
+
+        // Finalize and store recording
+        ReplaySystem.finalizeRecording(sim.currentRecording, sim.localTick, reachedGoal, died);
+
+        if (paradox) {
+            // Not stored; a re-record keeps the loop it was replacing
+        } else if (replayed && reachedGoal) {
+            sim.recordings = replayed.recordings;
+            sim.rerecordIndex = null;
+        } else if (slot === null) {
+            sim.recordings.push(sim.currentRecording);
+        } else {
+            // Replace the loop in place
+            const before = sim.recordings.slice();
+            sim.recordings[slot] = sim.currentRecording;
+            sim.rerecordIndex = null;
+            this.flagAffectedLoops(sim, before, slot + 1, slot + 1);
+        }
+
+        events.push({
+            type: 'loop-end',
+            loopIndex: sim.loopIndex,
+            reachedGoal: reachedGoal,
+            died: died,
+            paradox: paradox,
+            rerecorded: slot !== null,
+            winRejected: winRejected,
+            endTick: sim.localTick
+        });
+
+        if (reachedGoal) {
+            sim.levelComplete = true;
+            events.push({
+                type: 'level-complete',
+                loops: sim.recordings.length,
+                totalTicks: this.getTotalTicks(sim)
+            });
+        }
+
+        if (!sim.autoAdvance) {
+            sim.loopEnded = true;
+        } else if (!reachedGoal) {
+            sim.loopIndex = sim.rerecordIndex !== null ? sim.rerecordIndex + 1 : sim.recordings.length + 1;
+            this.startNewLoop(sim);
+        }
+    },
+
+    // ═══════════════════════════════════════════════════════════
+    // LOOP EDITING
+    // Change one past loop while keeping the others
+    // ═══════════════════════════════════════════════════════════
+
+    /**
+     * Start re-recording a past loop; every other loop keeps replaying
+     * @param {SimulationState} sim
+     * @param {number} index - 0-based index into sim.recordings
+     */
+    rerecordLoop(sim, index) {
+        if (index < 0 || index >= sim.recordings.length) return;
+
+        sim.rerecordIndex = index;
+        sim.loopIndex = index + 1;
+        this.startNewLoop(sim);
+    },
+
+    /**
+     * Abandon a re-record and go back to recording a new loop
+     */
+    cancelRerecord(sim) {
+        sim.rerecordIndex = null;
+        sim.loopIndex = sim.recordings.length + 1;
+        this.startNewLoop(sim);
+    },
+
+    /**
+     * Delete a past loop; later loops move up and the current loop restarts
+     * @param {SimulationState} sim
+     * @param {number} index - 0-based index into sim.recordings
+     */
+    deleteLoop(sim, index) {
+        if (index < 0 || index >= sim.recordings.length) return;
+
+        const before = sim.recordings.slice();
+        sim.recordings.splice(index, 1);
+
+        sim.recordings.forEach((recording, i) => {
+            recording.loopIndex = i + 1;
+            recording.id = `loop-${i + 1}`;
+        });
+
+        this.flagAffectedLoops(sim, before, index, index + 1);
+
+        sim.rerecordIndex = null;
+        sim.loopIndex = sim.recordings.length + 1;
+        this.startNewLoop(sim);
+    },
+
+    /**
+     * Flag later loops whose replay changed because an earlier loop changed
+     *
+     * Each later loop is simulated twice, with the ghosts it had before the
+     * edit and with the ghosts it has now. If the player's path differs, the
+     * recording gets `stale = { changedLoop, tick }` (first tick that differs).
+     * Flags stick until the loop itself is re-recorded or deleted.
+     *
+     * @param {SimulationState} sim
+     * @param {Recording[]} before - Recordings before the edit
+     * @param {number} fromIndex - First index in sim.recordings to check
+     * @param {number} changedLoop - Loop number (before the edit) that changed
+     */
+    flagAffectedLoops(sim, before, fromIndex, changedLoop) {
+        for (let i = fromIndex; i < sim.recordings.length; i++) {
+            const recording = sim.recordings[i];
+            const oldIndex = before.indexOf(recording);
+            if (recording.stale || oldIndex < 0) continue;
+
+            const oldTrace = this.traceLoop(sim.level, before.slice(0, oldIndex), recording);
+            const newTrace = this.traceLoop(sim.level, sim.recordings.slice(0, i), recording);
+
+            const length = Math.max(oldTrace.length, newTrace.length);
+            for (let tick = 0; tick < length; tick++) {
+                if (oldTrace[tick] !== newTrace[tick]) {
+                    recording.stale = { changedLoop: changedLoop, tick: tick };
+                    break;
+                }
+            }
+        }
+    },
+
+    /**
+     * Replay one loop headlessly and return the player's state per tick
+     * @param {Object} level
+     * @param {Recording[]} ghosts - Earlier loops, replayed as ghosts
+     * @param {Recording} recording - The loop's own inputs
+     * @returns {string[]} "x,y,active" per tick
+     */
+    traceLoop(level, ghosts, recording) {
+        const sim = this.create(level, { recordings: ghosts, autoAdvance: false });
+        const idle = { left: false, right: false, up: false, down: false, action: false };
+        const trace = [];
+
+        while (!sim.loopEnded) {
+            this.tick(sim, recording.inputs[sim.localTick] || idle);
+            trace.push(`${sim.player.x},${sim.player.y},${sim.player.isActive}`);
+        }
+
+        return trace;
+    },
+
+    /**
+     * Length of the run as recorded: the ticks of every kept loop
+     *
+     * Deleted, abandoned and replaced loops don't count, so the total matches
+     * the recordings saved with it (and what tools/verify-replay.js reports).
+     */
+    getTotalTicks(sim) {
+        return sim.recordings.reduce((sum, recording) => sum + recording.endTick, 0);
+    },
+
+    /**
+     * Discard all recordings and start the level over from loop 1
+     */
+    restart(sim) {
+        sim.globalTick = 0;
+        sim.loopIndex = 1;
+        sim.recordings = [];
+        sim.rerecordIndex = null;
+        sim.levelComplete = false;
+        sim.loopEnded = false;
+        this.startNewLoop(sim);
+    },
+
+    /**
+     * Hash of everything that decides what happens next: the clock, the
+     * player and ghosts, entity state and signal node state
+     *
+     * Positions are hashed as whole subpixels (Fixed.toInt), so two runs of
+     * the same inputs hash equally in any engine, and any divergence at all
+     * changes the hash.
+     *
+     * @returns {string} 8 hex digits
+     */
+    hashState(sim) {
+        const pick = (object, fields) => fields.map(field => {
+            const value = object[field];
+            return typeof value === 'number' ? Fixed.toInt(value) : value;
+        });
+        const body = b => [
+            ...pick(b, this.BODY_STATE),
+            b.carrying ? sim.entities.indexOf(b.carrying) : -1,
+            b.paradox ? b.paradox.tick : -1
+        ];
+
+        const snapshot = {
+            clock: [sim.globalTick, sim.localTick, sim.loopIndex, sim.levelComplete, sim.loopEnded],
+            player: body(sim.player),
+            ghosts: sim.ghosts.map(body),
+            entities: sim.entities.map(entity => pick(entity, this.ENTITY_STATE[entity.type] || [])),
+            signals: sim.signals.nodes.map(node => [node.id, node.state])
+        };
+
+        return fnv1a(stableStringify(snapshot)).toString(16).padStart(8, '0');
+    },
+
+    /**
+     * Play a list of input streams as consecutive loops, headlessly
+     *
+     * Each stream becomes the player's input for one loop; streams from earlier
+     * loops are replayed as ghosts, exactly as they would be in the browser.
+     * A stream may be a Recording or a plain InputState[] indexed by tick.
+     * Ticks past the end of a stream are played with no buttons held. A loop
+     * that a paradox ends in a 'fail' level is dropped, as in the game.
+     *
+     * The recordings returned carry state hashes, ready for
+     * ReplaySystem.exportRecordings.
+     *
+     * @param {Object} level - Level definition
+     * @param {Array<Recording|InputState[]>} inputStreams - One stream per loop
+     * @returns {{levelComplete: boolean, loops: number, totalTicks: number, recordings: Recording[]}}
+     */
+    run(level, inputStreams) {
+        const sim = this.create(level, { hashes: true, checkWins: false });
+        const idle = { left: false, right: false, up: false, down: false, action: false };
+
+        for (const stream of inputStreams) {
+            const inputs = Array.isArray(stream) ? stream : stream.inputs;
+
+            let ended = false;
+            while (!ended) {
+                ended = this.tick(sim, inputs[sim.localTick] || idle).some(event => event.type === 'loop-end');
+            }
+            if (sim.levelComplete) break;
+        }
+
+        return {
+            levelComplete: sim.levelComplete,
+            loops: sim.recordings.length,
+            totalTicks: this.getTotalTicks(sim),
+            recordings: sim.recordings
+        };
+    }
+};
@@ -0,0 +1,429 @@
+/**
+ * solver.js - Search for solutions to a level, loop by loop
+ *
+ * The solver plays the real simulation (Simulation.tick) with inputs made by
+ * small controllers, MACRO-ACTIONS, instead of searching tick by tick:
+ *
+ *   { type: 'walk', x }    walk until the player's centre is at x, hopping
+ *                          over anything that blocks the way
+ *   { type: 'jump', x }    jump now, steering toward x (null: straight up),
+ *                          until landing
+ *   { type: 'wait', ticks } stand still
+ *   { type: 'action' }     press action once (pick up / drop a crate)
+ *
+ * Targets (`x`) are WAYPOINTS taken from the level: switches, crates, lasers,
+ * the goal, and spots beside every ledge and wall edge (see getWaypoints).
+ * A loop's plan is a short sequence of macro-actions; when it runs out the
+ * player stands still for the rest of the loop, so "walk to the switch" is
+ * also "wait on the switch".
+ *
+ * SEARCH: within a loop, plans grow one macro at a time, breadth first.
+ * States are compared by where the player is and what the world looks like;
+ * a state already reached at an earlier tick is not expanded again. Across
+ * loops, each finished loop becomes a ghost for the next: loops are scored
+ * by how much they interact with the level (switches pressed, doors open,
+ * lasers blocked, crates moved) and the best `beamWidth` of each depth are
+ * carried on. The search is heuristic - a level it can't solve within its
+ * limits may still be solvable - but every solution it reports is a real
+ * run of the simulation, so its recordings replay exactly.
+ *
+ * Solutions are { loops, totalTicks, recordings }; solve() reports the one
+ * with the fewest loops (then fewest ticks) and the fastest overall.
+ */
+
+const Solver = {
+    // Search limits (override any of them in solve's options)
+    DEFAULTS: {
+        maxLoops: 4,            // Deepest loop count tried
+        maxMacros: 4,           // Macro-actions per loop plan
+        maxNodes: 400,          // Plans expanded per loop search
+        beamWidth: 6,           // Unfinished runs carried to the next loop count
+        maxTicks: 2000000,      // Total simulated ticks before giving up
+        stopAtFewest: false     // Stop at the first loop count with a solution
+    },
+
+    // Longest a macro may run before it counts as stuck (ticks)
+    MACRO_TIMEOUT: 300,
+
+    // Ticks between world samples when scoring a loop
+    SAMPLE_TICKS: 20,
+
+    // Waits offered as macro-actions (ticks)
+    WAITS: [30, 120],
+
+    /**
+     * Search for solutions
+     * @param {Object} level - Level definition
+     * @param {Object} [options] - Limits, see DEFAULTS
+     * @param {Function} [onProgress] - Called with { loops, nodes, ticks, solutions } as the search goes
+     * @returns {{fewestLoops: Object|null, fastest: Object|null, nodes: number, ticks: number, limited: boolean}}
+     *          `limited` is true if a limit cut the search short
+     */
+    solve(level, options = {}, onProgress = null) {
+        const search = {
+            level: level,
+            limits: Object.assign({}, this.DEFAULTS, options),
+            waypoints: this.getWaypoints(level),
+            nodes: 0,
+            ticks: 0,
+            limited: false,
+            fewestLoops: null,
+            fastest: null,
+            solutions: 0
+        };
+
+        let beam = [[]];
+        for (let loops = 1; loops <= search.limits.maxLoops && beam.length > 0; loops++) {
+            const next = [];
+            const signatures = new Set();
+
+            for (const ghosts of beam) {
+                if (search.ticks >= search.limits.maxTicks) break;
+
+                for (const candidate of this.searchLoop(search, ghosts)) {
+                    if (!signatures.has(candidate.signature)) {
+                        signatures.add(candidate.signature);
+                        next.push(candidate);
+                    }
+                }
+            }
+
+            if (onProgress) {
+                onProgress({ loops: loops, nodes: search.nodes, ticks: search.ticks, solutions: search.solutions });
+            }
+            if (search.ticks >= search.limits.maxTicks || (search.fewestLoops && search.limits.stopAtFewest)) break;
+
+            // Most interaction first; ties keep discovery order
+            next.sort((a, b) => b.score - a.score);
+            beam = next.slice(0, search.limits.beamWidth).map(candidate => candidate.recordings);
+        }
+
+        return {
+            fewestLoops: search.fewestLoops,
+            fastest: search.fastest,
+            nodes: search.nodes,
+            ticks: search.ticks,
+            limited: search.limited
+        };
+    },
+
+    /**
+     * Search plans for one loop played alongside `ghosts`
+     *
+     * Plans that reach the goal are recorded as solutions. Plans that end at
+     * an interactive waypoint (or die, or drop a crate) are played to the end
+     * of the loop and returned as candidates for the next loop count.
+     *
+     * @param {Object} search - Search state (see solve)
+     * @param {Recording[]} ghosts - Earlier loops
+     * @returns {{recordings: Recording[], score: number, signature: string}[]}
+     */
+    searchLoop(search, ghosts) {
+        // Loops are played in order, so wins replay without checking (see Simulation.endLoop)
+        const start = Simulation.create(search.level, { recordings: ghosts, autoAdvance: false, checkWins: false });
+        const reached = new Map();     // State key -> earliest tick
+        const candidates = [];
+        let queue = [{ sim: start, depth: 0 }];
+
+        while (queue.length > 0) {
+            const deeper = [];
+
+            for (const node of queue) {
+                for (const macro of this.getMacros(search, node.sim)) {
+                    if (reached.size >= search.limits.maxNodes || search.ticks >= search.limits.maxTicks) {
+                        search.limited = true;
+                        return candidates;
+                    }
+
+                    const sim = this.cloneSim(node.sim);
+                    this.runMacro(search, sim, macro);
+                    search.nodes++;
+
+                    if (sim.levelComplete) {
+                        this.addSolution(search, sim);
+                        continue;
+                    }
+
+                    const key = this.getStateKey(sim);
+                    if (reached.has(key) && reached.get(key) <= sim.localTick) continue;
+                    reached.set(key, sim.localTick);
+
+                    if (sim.loopEnded) {
+                        candidates.push(this.finishLoop(search, sim));
+                    } else if (this.isWorthKeeping(macro, sim)) {
+                        candidates.push(this.finishLoop(search, this.cloneSim(sim)));
+                    }
+                    if (!sim.loopEnded && node.depth + 1 < search.limits.maxMacros) {
+                        deeper.push({ sim: sim, depth: node.depth + 1 });
+                    }
+                }
+            }
+
+            queue = deeper;
+        }
+
+        return candidates;
+    },
+
+    /**
+     * Record a finished run, keeping the best by loops and by ticks
+     */
+    addSolution(search, sim) {
+        const recordings = sim.recordings.slice();
+        const solution = {
+            loops: recordings.length,
+            totalTicks: recordings.reduce((sum, recording) => sum + recording.endTick, 0),
+            recordings: recordings
+        };
+        search.solutions++;
+
+        const fewest = search.fewestLoops;
+        if (!fewest || solution.loops < fewest.loops ||
+            (solution.loops === fewest.loops && solution.totalTicks < fewest.totalTicks)) {
+            search.fewestLoops = solution;
+        }
+        if (!search.fastest || solution.totalTicks < search.fastest.totalTicks) {
+            search.fastest = solution;
+        }
+    },
+
+    /**
+     * Whether a plan that just ran `macro` could be useful as a ghost
+     */
+    isWorthKeeping(macro, sim) {
+        if (macro.type === 'action') return true;
+        if (macro.type === 'wait') return false;
+        return macro.waypoint !== undefined && macro.waypoint.interactive &&
+            Math.abs(sim.player.x + sim.player.width / 2 - macro.x) <= sim.player.width / 2;
+    },
+
+    /**
+     * Stand still for the rest of the loop and score the finished recording
+     * @returns {{recordings: Recording[], score: number, signature: string}}
+     */
+    finishLoop(search, sim) {
+        const idle = this.createInput();
+        const samples = [];
+        let score = 0;
+
+        const sample = () => {
+            const state = sim.entities.map(entity => {
+                if (entity.type === 'switch') return entity.isPressed;
+                if (entity.type === 'door') return entity.isOpen;
+                if (entity.type === 'laser') return entity.isBlocked || !entity.isOn;
+                if (entity.type === 'crate') return `${Math.round(entity.x)},${Math.round(entity.y)}`;
+                return null;
+            });
+            samples.push(state);
+            score += state.filter(value => value === true).length;
+
+            // A crate away from where it started counts as interaction too
+            const start = samples[0];
+            score += state.filter((value, i) => typeof value === 'string' && value !== start[i]).length;
+        };
+
+        while (!sim.loopEnded) {
+            if (sim.localTick % this.SAMPLE_TICKS === 0) sample();
+            Simulation.tick(sim, idle);
+            search.ticks++;
+        }
+        sample();
+
+        return {
+            recordings: sim.recordings.slice(),
+            score: score,
+            signature: fnv1a(JSON.stringify(samples)).toString(36)
+        };
+    },
+
+    /**
+     * The macro-actions worth trying from a state
+     */
+    getMacros(search, sim) {
+        const player = sim.player;
+        const center = player.x + player.width / 2;
+        const macros = [];
+
+        for (const waypoint of search.waypoints) {
+            if (Math.abs(waypoint.x - center) > player.width / 2) {
+                macros.push({ type: 'walk', x: waypoint.x, waypoint: waypoint });
+            }
+            macros.push({ type: 'jump', x: waypoint.x, waypoint: waypoint });
+        }
+        macros.push({ type: 'jump', x: null });
+
+        for (const ticks of this.WAITS) {
+            macros.push({ type: 'wait', ticks: ticks });
+        }
+
+        const nearCrate = sim.entities.some(entity =>
+            entity.type === 'crate' && !entity.heldBy && Entities.canReach(player, entity));
+        if (player.carrying || nearCrate) {
+            macros.push({ type: 'action' });
+        }
+
+        return macros;
+    },
+
+    /**
+     * Play one macro-action until it's done, the loop ends or it times out
+     */
+    runMacro(search, sim, macro) {
+        const memory = { ticks: 0, lastX: null, leftGround: false };
+
+        while (!sim.loopEnded && memory.ticks < this.MACRO_TIMEOUT) {
+            const input = this.getMacroInput(sim.player, macro, memory);
+            if (!input) break;
+
+            memory.lastX = sim.player.x;
+            Simulation.tick(sim, input);
+            memory.ticks++;
+            search.ticks++;
+        }
+    },
+
+    /**
+     * Input for the next tick of a macro-action
+     * @returns {InputState|null} Null once the macro is done
+     */
+    getMacroInput(player, macro, memory) {
+        const input = this.createInput();
+        const center = player.x + player.width / 2;
+        const offset = macro.x === null || macro.x === undefined ? 0 : macro.x - center;
+        const arrived = Math.abs(offset) <= CONFIG.PLAYER_SPEED / 2;
+
+        switch (macro.type) {
+            case 'walk':
+                if (arrived) return null;
+                input.left = offset < 0;
+                input.right = offset > 0;
+                // Hop over whatever stopped us
+                input.up = player.grounded && memory.lastX === player.x;
+                return input;
+
+            case 'jump':
+                if (!player.grounded) memory.leftGround = true;
+                if (memory.leftGround && player.grounded) return null;
+                if (!memory.leftGround && memory.ticks > 2) return null;
+                input.up = true;
+                input.left = !arrived && offset < 0;
+                input.right = !arrived && offset > 0;
+                return input;
+
+            case 'wait':
+                return memory.ticks < macro.ticks ? input : null;
+
+            case 'action':
+                if (memory.ticks >= 2) return null;
+                input.action = memory.ticks === 0;
+                return input;
+
+            default:
+                return null;
+        }
+    },
+
+    /**
+     * Where the player might want to go: interactive things, the goal, and
+     * standing spots beside the edges of walls, doors and platforms
+     * @returns {{x: number, interactive: boolean}[]} Sorted by x, no duplicates
+     */
+    getWaypoints(level) {
+        const world = Levels.getWorldSize(level);
+        const half = CONFIG.PLAYER_WIDTH / 2;
+        const points = new Map();
+        const add = (x, interactive) => {
+            const rounded = Math.round(clamp(x, half, world.width - half));
+            points.set(rounded, points.get(rounded) || interactive);
+        };
+
+        for (const entity of Levels.createEntities(level)) {
+            switch (entity.type) {
+                case 'switch':
+                case 'crate':
+                case 'goal':
+                    add(entity.x + entity.width / 2, entity.type !== 'goal');
+                    break;
+
+                case 'laser':
+                    add((entity.x1 + entity.x2) / 2, true);
+                    break;
+
+                case 'wall':
+                case 'door':
+                case 'platform':
+                    // Beside each edge, and just inside it (standing on top)
+                    add(entity.x - half, false);
+                    add(entity.x + half, false);
+                    add(entity.x + entity.width - half, false);
+                    add(entity.x + entity.width + half, false);
+                    break;
+            }
+        }
+
+        return [...points.entries()]
+            .sort((a, b) => a[0] - b[0])
+            .map(([x, interactive]) => ({ x: x, interactive: interactive }));
+    },
+
+    /**
+     * Key for "the same situation": player cell, carrying, and world state
+     */
+    getStateKey(sim) {
+        const player = sim.player;
+        const world = sim.entities.map(entity => {
+            const fields = Simulation.ENTITY_STATE[entity.type] || [];
+            return fields.map(field => {
+                const value = entity[field];
+                return typeof value === 'number' ? Math.round(value / 4) : value;
+            }).join(',');
+        });
+
+        return [
+            Math.round(player.x / 4), Math.round(player.y / 4), player.grounded,
+            player.carrying ? sim.entities.indexOf(player.carrying) : -1,
+            world.join('|')
+        ].join(';');
+    },
+
+    /**
+     * Copy a simulation so a plan can branch from it
+     *
+     * Recordings are shared (ghost inputs never change); the one being
+     * recorded is copied so each branch records its own inputs.
+     */
+    cloneSim(sim) {
+        const recordings = sim.recordings;
+        const current = sim.currentRecording;
+        const level = sim.level;
+        const ghostRecordings = sim.ghosts.map(ghost => ghost.recording);
+
+        sim.recordings = null;
+        sim.currentRecording = null;
+        sim.level = null;
+        sim.ghosts.forEach(ghost => { ghost.recording = null; });
+
+        let copy;
+        try {
+            copy = structuredClone(sim);
+        } finally {
+            sim.recordings = recordings;
+            sim.currentRecording = current;
+            sim.level = level;
+            sim.ghosts.forEach((ghost, i) => { ghost.recording = ghostRecordings[i]; });
+        }
+
+        copy.recordings = recordings.slice();
+        copy.level = level;
+        copy.currentRecording = Object.assign({}, current, {
+            inputs: current.inputs.slice(),
+            trace: current.trace.slice()
+        });
+        copy.ghosts.forEach((ghost, i) => { ghost.recording = ghostRecordings[i]; });
+        return copy;
+    },
+
+    createInput() {
+        return { left: false, right: false, up: false, down: false, action: false };
+    }
+};
@@ -0,0 +1,141 @@
+/**
+ * spatial-grid.js - Uniform grid broadphase
+ *
+ * Buckets boxes into square cells so collision and beam checks only look at
+ * what is nearby, instead of at everything in the level (see
+ * Simulation.createBroadphase). Queries return a
+ * superset of the items touching the area (everything sharing a cell);
+ * callers still run their exact test on each.
+ *
+ * DETERMINISM: every item is inserted with an order key (its index in the
+ * list it came from) and queries return items sorted by it, so a check over
+ * query results visits items in the same order as a check over the full
+ * list - results are identical, only faster.
+ *
+ * A grid is a plain object:
+ *   { cellSize, cells: Map cell key -> items (sorted by order key),
+ *     keys: Map item -> cell keys, order: Map item -> order key }
+ */
+
+const SpatialGrid = {
+    // Cell keys are numbers: cx * KEY_STRIDE + cy (cells per axis stay far below this)
+    KEY_STRIDE: 1 << 16,
+
+    /**
+     * Create an empty grid
+     * @param {number} [cellSize=CONFIG.GRID_CELL_SIZE] - Cell edge in pixels
+     */
+    create(cellSize = CONFIG.GRID_CELL_SIZE) {
+        return {
+            cellSize: cellSize,
+            cells: new Map(),
+            keys: new Map(),
+            order: new Map()
+        };
+    },
+
+    /**
+     * Add a box-shaped item (x, y, width, height)
+     */
+    insert(grid, item, order) {
+        const keys = this.cellKeys(grid, item);
+        grid.order.set(item, order);
+        grid.keys.set(item, keys);
+
+        for (const key of keys) {
+            const cell = grid.cells.get(key);
+            if (!cell) {
+                grid.cells.set(key, [item]);
+                continue;
+            }
+
+            // Keep each cell in order so single-cell queries need no sorting
+            let i = cell.length;
+            while (i > 0 && grid.order.get(cell[i - 1]) > order) i--;
+            cell.splice(i, 0, item);
+        }
+    },
+
+    /**
+     * Re-bucket an item after it moved, keeping its order key
+     */
+    move(grid, item) {
+        const order = grid.order.get(item);
+        this.remove(grid, item);
+        this.insert(grid, item, order);
+    },
+
+    remove(grid, item) {
+        for (const key of grid.keys.get(item) || []) {
+            const cell = grid.cells.get(key);
+            cell.splice(cell.indexOf(item), 1);
+            if (cell.length === 0) grid.cells.delete(key);
+        }
+        grid.keys.delete(item);
+        grid.order.delete(item);
+    },
+
+    /**
+     * Items sharing a cell with a box, in order
+     */
+    query(grid, box) {
+        const found = [];
+        let merged = 0;
+
+        for (const key of this.cellKeys(grid, box)) {
+            const cell = grid.cells.get(key);
+            if (!cell) continue;
+
+            merged++;
+            for (const item of cell) {
+                if (!found.includes(item)) found.push(item);
+            }
+        }
+
+        // Items from several cells interleave
+        if (merged > 1) {
+            found.sort((a, b) => grid.order.get(a) - grid.order.get(b));
+        }
+        return found;
+    },
+
+    /**
+     * Keys of every cell a box touches (edges included)
+     */
+    cellKeys(grid, box) {
+        const size = grid.cellSize;
+        const left = Math.floor(box.x / size);
+        const right = Math.floor((box.x + box.width) / size);
+        const top = Math.floor(box.y / size);
+        const bottom = Math.floor((box.y + box.height) / size);
+
+        const keys = [];
+        for (let cx = left; cx <= right; cx++) {
+            for (let cy = top; cy <= bottom; cy++) {
+                keys.push(cx * this.KEY_STRIDE + cy);
+            }
+        }
+        return keys;
+    },
+
+    /**
+     * Check a box lies entirely inside another
+     */
+    contains(outer, box) {
+        return box.x >= outer.x && box.y >= outer.y &&
+            box.x + box.width <= outer.x + outer.width &&
+            box.y + box.height <= outer.y + outer.height;
+    },
+
+    /**
+     * A box grown by a margin on every side
+     */
+    expand(box, margin) {
+        return {
+            x: box.x - margin,
+            y: box.y - margin,
+            width: box.width + margin * 2,
+            height: box.height + margin * 2
+        };
+    }
+};
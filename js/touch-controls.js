@@ -0,0 +1,150 @@
+/**
+ * touch-controls.js - On-screen d-pad and buttons for touch screens
+ *
+ * A DOM overlay over the canvas, shown on devices with a coarse pointer (or
+ * as soon as the screen is touched). Every finger is tracked separately, so
+ * you can hold a direction and jump at the same time, and a finger sliding
+ * across the d-pad changes direction without lifting. The d-pad reads the
+ * finger's position against its centre, so diagonals work.
+ *
+ * Held inputs are merged into InputSystem.getState() like a gamepad: nothing
+ * downstream knows a recording was made with touch. The small buttons at the
+ * bottom run meta actions (pause, restart, map) through the callback given to
+ * init(); tapping the pause or results screen pauses/continues.
+ */
+
+const TouchControls = {
+    enabled: false,
+    touches: {},            // Touch identifier -> inputs held by that finger
+    onAction: null,
+
+    // Share of the d-pad radius a finger must be off centre to count
+    DPAD_DEADZONE: 0.3,
+
+    /**
+     * Look up the overlay and listen for touches
+     * @param {Function} onAction - Called with a meta action name (see Bindings)
+     */
+    init(onAction) {
+        this.onAction = onAction;
+        this.element = document.getElementById('touch-controls');
+        this.dpadElement = document.getElementById('touch-dpad');
+
+        if (window.matchMedia && window.matchMedia('(pointer: coarse)').matches) {
+            this.show();
+        }
+        window.addEventListener('touchstart', () => this.show(), { passive: true });
+
+        // Not passive: preventDefault stops scrolling, zooming and mouse emulation
+        const options = { passive: false };
+        this.element.addEventListener('touchstart', (e) => this.onTouchStart(e), options);
+        this.element.addEventListener('touchmove', (e) => this.onTouchMove(e), options);
+        this.element.addEventListener('touchend', (e) => this.onTouchEnd(e), options);
+        this.element.addEventListener('touchcancel', (e) => this.onTouchEnd(e), options);
+
+        // Tap to unpause / continue (clicks work too)
+        document.getElementById('pause-overlay').addEventListener('click', () => this.onAction('pause'));
+        document.getElementById('level-complete').addEventListener('click', () => this.onAction('advance'));
+    },
+
+    show() {
+        if (this.enabled) return;
+
+        this.enabled = true;
+        this.element.classList.add('show');
+    },
+
+    onTouchStart(e) {
+        e.preventDefault();
+
+        for (const touch of e.changedTouches) {
+            const button = touch.target.closest('[data-action]');
+            if (button) {
+                this.onAction(button.dataset.action);
+                continue;
+            }
+            this.touches[touch.identifier] = this.inputsAt(touch.clientX, touch.clientY);
+        }
+        this.updateButtons();
+    },
+
+    onTouchMove(e) {
+        e.preventDefault();
+
+        for (const touch of e.changedTouches) {
+            if (touch.identifier in this.touches) {
+                this.touches[touch.identifier] = this.inputsAt(touch.clientX, touch.clientY);
+            }
+        }
+        this.updateButtons();
+    },
+
+    onTouchEnd(e) {
+        e.preventDefault();
+
+        for (const touch of e.changedTouches) {
+            delete this.touches[touch.identifier];
+        }
+        this.updateButtons();
+    },
+
+    /**
+     * Inputs held by a finger at a screen position
+     * @returns {string[]}
+     */
+    inputsAt(x, y) {
+        const target = document.elementFromPoint(x, y);
+        if (!target) return [];
+
+        if (this.dpadElement.contains(target)) {
+            const rect = this.dpadElement.getBoundingClientRect();
+            const radius = rect.width / 2;
+            const dx = (x - rect.left - radius) / radius;
+            const dy = (y - rect.top - rect.height / 2) / radius;
+            const inputs = [];
+
+            if (dx < -this.DPAD_DEADZONE) inputs.push('left');
+            if (dx > this.DPAD_DEADZONE) inputs.push('right');
+            if (dy < -this.DPAD_DEADZONE) inputs.push('up');
+            if (dy > this.DPAD_DEADZONE) inputs.push('down');
+            return inputs;
+        }
+
+        const button = target.closest('#touch-controls [data-input]');
+        return button ? [button.dataset.input] : [];
+    },
+
+    /**
+     * Inputs held by all fingers, merged
+     */
+    getState() {
+        const state = { left: false, right: false, up: false, down: false, action: false };
+
+        for (const inputs of Object.values(this.touches)) {
+            for (const input of inputs) {
+                state[input] = true;
+            }
+        }
+
+        return state;
+    },
+
+    /**
+     * Light up what is held
+     */
+    updateButtons() {
+        const state = this.getState();
+
+        for (const element of this.element.querySelectorAll('[data-input]')) {
+            element.classList.toggle('held', state[element.dataset.input]);
+        }
+    },
+
+    /**
+     * Release every finger
+     */
+    reset() {
+        this.touches = {};
+        if (this.element) this.updateButtons();
+    }
+};
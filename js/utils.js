@@ -9,15 +9,25 @@ const CONFIG = {
     LOOP_DURATION: 20,                // Seconds per loop
     LOOP_TICKS: 20 * 60,              // 1200 ticks per loop
 
-    // Canvas
+    // Canvas (the screen; also the world size of levels without `world`)
     CANVAS_WIDTH: 800,
     CANVAS_HEIGHT: 600,
 
+    // Camera (screen pixels)
+    CAMERA_DEADZONE_WIDTH: 160,       // The player moves freely inside this box
+    CAMERA_DEADZONE_HEIGHT: 120,
+    CAMERA_LOOKAHEAD: 96,             // How far the view leads in the facing direction
+
     // Physics
     GRAVITY: 0.5,
-    FRICTION: 0.85,
     PLAYER_SPEED: 5,
     PLAYER_JUMP: -12,
+    TERMINAL_VELOCITY: 15,            // Fastest fall (pixels per tick)
+
+    // Jump feel defaults; levels may override them (see Levels.getJumpSettings)
+    COYOTE_TICKS: 5,                  // Ticks after walking off a ledge a jump still works
+    JUMP_BUFFER_TICKS: 5,             // Ticks a jump pressed before landing is remembered
+    JUMP_CUT: 0.5,                    // Rising speed kept when jump is released early (1 = off)
 
     // Entity sizes
     PLAYER_WIDTH: 32,
@@ -25,6 +35,17 @@ const CONFIG = {
     SWITCH_SIZE: 40,
     DOOR_WIDTH: 16,
     DOOR_HEIGHT: 64,
+    CRATE_SIZE: 24,
+    CRATE_REACH: 8,                   // How far from a crate a body can still grab it
+    PLATFORM_SPEED: 1,                // Default platform speed (pixels per tick)
+
+    // Broadphase (see spatial-grid.js); levels with fewer solids and lasers
+    // than BROADPHASE_MIN check them all directly, which is cheaper
+    GRID_CELL_SIZE: 64,
+    BROADPHASE_MIN: 16,
+
+    // Ghosts further than this from their recorded position are in paradox
+    PARADOX_TOLERANCE: 0.5,
 
     // Colors
     COLORS: {
@@ -36,6 +57,14 @@ const CONFIG = {
         door_closed: '#ff6b35',
         door_open: 'rgba(255, 107, 53, 0.2)',
         laser: '#ff3366',
+        husk: 'rgba(255, 51, 102, 0.5)',
+        death: '#ff3366',
+        stale: '#fbbf24',
+        paradox: '#c084fc',
+        crate: '#b7791f',
+        crate_edge: '#744210',
+        platform: '#3a3a5e',
+        platform_edge: '#00d4ff',
         goal: '#fbbf24',
         background: '#1a1a2e'
     }
@@ -49,12 +78,71 @@ function deepClone(obj) {
 }
 
 /**
- * Generate a unique ID
+ * Make a source of IDs: the same seed always yields the same sequence
+ * ("<seed>:0", "<seed>:1", ...), so entities get equal IDs in every run
+ * @param {string} seed
+ * @returns {Function} Returns the next ID on each call
  */
-function generateId() {
-    return `${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+function createIdGenerator(seed) {
+    let next = 0;
+    return () => `${seed}:${next++}`;
 }
 
+/**
+ * Fixed-point helpers for the simulation
+ *
+ * Simulation positions, sizes and velocities all lie on a grid of
+ * 1/SCALE pixel. They are stored as ordinary numbers in pixels, so the rest
+ * of the game reads them as before, but sums, differences, halves and
+ * comparisons of grid values are exact in double precision for any world the
+ * game can have: nothing rounds, and nothing depends on evaluation order.
+ * The few operations that can leave the grid (dividing, scaling by a level's
+ * factor, square roots) go through these helpers, which land back on it
+ * using only exactly-specified IEEE-754 operations. Math.hypot, Math.pow and
+ * the trigonometric functions are approximated differently by each engine
+ * and must not be used by the simulation.
+ */
+const Fixed = {
+    SCALE: 256,                         // Subpixels per pixel
+
+    /**
+     * Round a value onto the subpixel grid
+     */
+    snap(value) {
+        return Math.round(value * this.SCALE) / this.SCALE;
+    },
+
+    /**
+     * A grid value as a whole number of subpixels
+     */
+    toInt(value) {
+        return Math.round(value * this.SCALE);
+    },
+
+    /**
+     * value * numerator / denominator, rounded onto the grid
+     */
+    mulDiv(value, numerator, denominator) {
+        return this.snap(value * numerator / denominator);
+    },
+
+    /**
+     * Length of a vector, rounded down onto the grid (integer square root)
+     */
+    length(dx, dy) {
+        const x = this.toInt(dx);
+        const y = this.toInt(dy);
+        const squared = x * x + y * y;
+
+        // Correct the estimate so the result is exact even if sqrt is off by one
+        let root = Math.floor(Math.sqrt(squared));
+        while (root * root > squared) root--;
+        while ((root + 1) * (root + 1) <= squared) root++;
+
+        return root / this.SCALE;
+    }
+};
+
 /**
  * Clamp a value between min and max
  */
@@ -118,13 +206,57 @@ function lineIntersectsRect(x1, y1, x2, y2, rect) {
 
 /**
  * Check if two line segments intersect
+ * Compares cross products instead of dividing, so grid coordinates (see
+ * Fixed) give an exact answer.
  */
 function lineIntersectsLine(x1, y1, x2, y2, x3, y3, x4, y4) {
     const denom = (y4 - y3) * (x2 - x1) - (x4 - x3) * (y2 - y1);
     if (denom === 0) return false;
 
-    const ua = ((x4 - x3) * (y1 - y3) - (y4 - y3) * (x1 - x3)) / denom;
-    const ub = ((x2 - x1) * (y1 - y3) - (y2 - y1) * (x1 - x3)) / denom;
+    // The intersection lies at ua = a / denom along the first segment and
+    // ub = b / denom along the second; both must be within [0, 1]
+    const sign = denom > 0 ? 1 : -1;
+    const a = ((x4 - x3) * (y1 - y3) - (y4 - y3) * (x1 - x3)) * sign;
+    const b = ((x2 - x1) * (y1 - y3) - (y2 - y1) * (x1 - x3)) * sign;
+    const range = denom * sign;
 
-    return ua >= 0 && ua <= 1 && ub >= 0 && ub <= 1;
+    return a >= 0 && a <= range && b >= 0 && b <= range;
+}
+
+/**
+ * JSON.stringify with object keys sorted, so equal data always gives equal text
+ */
+function stableStringify(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(v => (v === undefined ? 'null' : stableStringify(v))).join(',')}]`;
+    }
+    if (value !== null && typeof value === 'object') {
+        const keys = Object.keys(value).filter(key => value[key] !== undefined).sort();
+        return `{${keys.map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+    }
+    return JSON.stringify(value);
+}
+
+/**
+ * 32-bit FNV-1a hash of a string (UTF-16 code units) or byte array
+ * Not cryptographic: detects corruption and casual edits, not forgery.
+ * @returns {number} Unsigned 32-bit hash
+ */
+function fnv1a(data) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < data.length; i++) {
+        hash ^= typeof data === 'string' ? data.charCodeAt(i) : data[i];
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+/**
+ * Hash of a level's content, ignoring its display name
+ * Replays are only valid for the exact level content they were recorded on.
+ */
+function hashLevel(level) {
+    const content = Object.assign({}, level);
+    delete content.name;
+    return fnv1a(stableStringify(content));
 }
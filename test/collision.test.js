@@ -0,0 +1,203 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadCore, press, makeLevel } = require('./helpers');
+
+const { Physics, Entities, Simulation, CONFIG } = loadCore();
+
+const BOUNDS = { width: 2000, height: 2000 };
+
+/**
+ * A player-sized body at a position with a velocity
+ */
+function makeBody(x, y, vx, vy) {
+    return Object.assign(Entities.createPlayer(x, y), { vx: vx, vy: vy });
+}
+
+/**
+ * Tick a simulation with one input until a condition holds (or a limit)
+ */
+function tickUntil(sim, input, done, limit = 600) {
+    for (let tick = 0; tick < limit && !done(); tick++) {
+        Simulation.tick(sim, input);
+    }
+}
+
+// ─── Falling ────────────────────────────────────────────────
+
+test('gravity stops at terminal velocity', () => {
+    const body = makeBody(0, 0, 0, 0);
+    for (let tick = 0; tick < 200; tick++) Physics.applyPhysics(body);
+    assert.equal(body.vy, CONFIG.TERMINAL_VELOCITY);
+});
+
+test('a fall faster than a platform is thick still lands on it', () => {
+    for (const vy of [CONFIG.TERMINAL_VELOCITY, 50, 200]) {
+        // Starts just above the ledge and would end past it in one move
+        const body = makeBody(100, 100 - CONFIG.PLAYER_HEIGHT - 5, 0, vy);
+
+        Physics.moveAndCollide(body, [Entities.createWall(0, 100, 400, 2)], BOUNDS);
+
+        assert.equal(body.y, 100 - body.height, `vy ${vy}`);
+        assert.equal(body.grounded, true);
+        assert.equal(body.vy, 0);
+    }
+});
+
+test('a long fall in a level lands on a 4px platform', () => {
+    const level = {
+        id: 'tall',
+        name: 'Tall',
+        world: { width: 800, height: 2000 },
+        spawnPoint: { x: 100, y: 0 },
+        entities: [
+            { type: 'wall', x: 0, y: 1500, width: 800, height: 4 },
+            { type: 'wall', x: 0, y: 1968, width: 800, height: 32 }
+        ]
+    };
+    const sim = Simulation.create(level);
+
+    tickUntil(sim, press(), () => sim.player.grounded);
+
+    assert.equal(sim.player.y, 1500 - sim.player.height);
+});
+
+test('a fast fall onto a thin moving platform lands on it', () => {
+    const level = makeLevel([{ type: 'platform', x: 0, y: 400, width: 200, height: 4, path: [{ x: 0, y: 410 }] }], {
+        spawnPoint: { x: 100, y: 0 }
+    });
+    const sim = Simulation.create(level);
+    const platform = sim.entities.find(entity => entity.type === 'platform');
+
+    tickUntil(sim, press(), () => sim.player.grounded);
+
+    assert.equal(sim.player.y, platform.y - sim.player.height);
+});
+
+// ─── Doors ──────────────────────────────────────────────────
+
+test('moving faster than a door is wide stops at the door', () => {
+    for (const vx of [20, 40, 100]) {
+        const door = Entities.createDoor(200, 0);
+        const right = makeBody(200 - CONFIG.PLAYER_WIDTH - 4, 10, vx, 0);
+        const left = makeBody(200 + CONFIG.DOOR_WIDTH + 4, 10, -vx, 0);
+
+        Physics.moveAndCollide(right, [door], BOUNDS);
+        Physics.moveAndCollide(left, [door], BOUNDS);
+
+        assert.equal(right.x, 200 - right.width, `vx ${vx}`);
+        assert.equal(left.x, 200 + CONFIG.DOOR_WIDTH, `vx ${-vx}`);
+        assert.equal(right.vx, 0);
+    }
+});
+
+test('an open door lets fast bodies through', () => {
+    const door = Entities.createDoor(200, 0, CONFIG.DOOR_HEIGHT, true);
+    const body = makeBody(140, 10, 100, 0);
+
+    Physics.moveAndCollide(body, [door], BOUNDS);
+    assert.equal(body.x, 240);
+});
+
+// ─── Ledge corners ──────────────────────────────────────────
+
+const ledge = () => Entities.createWall(200, 400, 100, 20);
+
+test('a fall that clips a ledge corner lands on top', () => {
+    const body = makeBody(170, 360, 0, 12);
+
+    Physics.moveAndCollide(body, [ledge()], BOUNDS);
+
+    assert.equal(body.x, 170);
+    assert.equal(body.y, 400 - body.height);
+    assert.equal(body.grounded, true);
+});
+
+test('a diagonal move over a corner lands on top rather than snapping sideways', () => {
+    const body = makeBody(165, 365, 10, 10);
+
+    Physics.moveAndCollide(body, [ledge()], BOUNDS);
+
+    assert.equal(body.x, 175);
+    assert.equal(body.y, 400 - body.height);
+    assert.equal(body.grounded, true);
+});
+
+test('walking into a ledge just below its top stops at its side', () => {
+    const body = makeBody(160, 390, 10, 0);
+
+    Physics.moveAndCollide(body, [ledge()], BOUNDS);
+
+    assert.equal(body.x, 200 - body.width);
+    assert.equal(body.y, 390);
+    assert.equal(body.grounded, false);
+});
+
+test('the same moves give the same positions every time', () => {
+    const run = () => {
+        const body = makeBody(150, 300, 7.3, -4.1);
+        const solids = [ledge(), Entities.createDoor(320, 360)];
+        const path = [];
+        for (let tick = 0; tick < 60; tick++) {
+            Physics.applyPhysics(body);
+            Physics.moveAndCollide(body, solids, BOUNDS);
+            path.push(`${body.x},${body.y}`);
+        }
+        return path;
+    };
+
+    assert.deepStrictEqual(run(), run());
+});
+
+// ─── Moving platforms ───────────────────────────────────────
+
+/**
+ * A level with a low platform sliding right along the floor from x=100
+ */
+function makePushLevel(extra = []) {
+    return makeLevel([
+        { type: 'platform', x: 100, y: 548, width: 64, height: 20, path: [{ x: 600, y: 548 }], speed: 4 },
+        ...extra
+    ], { spawnPoint: { x: 300, y: 536 } });
+}
+
+test('a moving platform pushes a body in its way', () => {
+    const sim = Simulation.create(makePushLevel());
+    const platform = sim.entities.find(entity => entity.type === 'platform');
+
+    tickUntil(sim, press(), () => platform.x >= 400);
+
+    assert.equal(sim.player.isDead, false);
+    assert.equal(sim.player.x, platform.x + platform.width);
+});
+
+test('a moving platform crushes a body against a wall', () => {
+    const sim = Simulation.create(makePushLevel([{ type: 'wall', x: 400, y: 400, width: 20, height: 168 }]), {
+        autoAdvance: false
+    });
+    const deaths = [];
+
+    for (let tick = 0; tick < 120 && deaths.length === 0; tick++) {
+        deaths.push(...Simulation.tick(sim, press()).filter(event => event.type === 'death'));
+    }
+
+    assert.equal(deaths.length, 1);
+    assert.equal(deaths[0].cause, 'crush');
+    assert.equal(sim.player.isDead, true);
+});
+
+test('a body standing on a moving platform rides along', () => {
+    const level = makeLevel([
+        { type: 'platform', x: 100, y: 400, width: 100, height: 16, path: [{ x: 300, y: 400 }], speed: 2 }
+    ], { spawnPoint: { x: 120, y: 300 } });
+    const sim = Simulation.create(level);
+    const platform = sim.entities.find(entity => entity.type === 'platform');
+
+    tickUntil(sim, press(), () => sim.player.grounded);
+    const offset = sim.player.x - platform.x;
+    for (let tick = 0; tick < 30; tick++) Simulation.tick(sim, press());
+
+    assert.equal(sim.player.y, platform.y - sim.player.height);
+    assert.equal(sim.player.x - platform.x, offset);
+});
@@ -0,0 +1,57 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadCore, press, makeLevel } = require('./helpers');
+
+const { Simulation, CONFIG } = loadCore();
+
+/**
+ * Pick up the crate next to the spawn point, face a way and drop it
+ * @returns {Object} The crate once it has settled
+ */
+function pickUpAndDrop(level, facing) {
+    const sim = Simulation.create(level);
+    for (let tick = 0; tick < 5; tick++) Simulation.tick(sim, press());
+
+    Simulation.tick(sim, press('action'));
+    const crate = sim.entities.find(entity => entity.type === 'crate');
+    assert.equal(crate.heldBy, sim.player);
+
+    // One tick of walking turns the player to face that way
+    Simulation.tick(sim, press(facing));
+    Simulation.tick(sim, press());
+    Simulation.tick(sim, press('action'));
+    for (let tick = 0; tick < 30; tick++) Simulation.tick(sim, press());
+
+    return { sim, crate };
+}
+
+test('a crate dropped in the open lands in front of the holder', () => {
+    const level = makeLevel([{ type: 'crate', x: 270, y: 544 }], { spawnPoint: { x: 300, y: 536 } });
+    const { sim, crate } = pickUpAndDrop(level, 'right');
+
+    assert.equal(crate.x, sim.player.x + sim.player.width);
+    assert.equal(crate.y, 568 - CONFIG.CRATE_SIZE);
+});
+
+test('a crate dropped against a closed door stays on the holder\'s side', () => {
+    const level = makeLevel([
+        { type: 'door', x: 500, y: 504 },
+        { type: 'crate', x: 440, y: 544 }
+    ], { spawnPoint: { x: 468, y: 536 } });
+    const { crate } = pickUpAndDrop(level, 'right');
+
+    assert.equal(crate.x + crate.width, 500);
+});
+
+test('a crate dropped against a thin wall facing left stays on the holder\'s side', () => {
+    const level = makeLevel([
+        { type: 'wall', x: 300, y: 400, width: 4, height: 168 },
+        { type: 'crate', x: 340, y: 544 }
+    ], { spawnPoint: { x: 304, y: 536 } });
+    const { sim, crate } = pickUpAndDrop(level, 'left');
+
+    assert.equal(sim.player.facingRight, false);
+    assert.equal(crate.x, 304);
+});
@@ -0,0 +1,44 @@
+/**
+ * helpers.js - Shared helpers for the node:test suite
+ *
+ * Game objects live in the headless vm context (see tools/headless.js), so
+ * their prototypes differ from this realm's; compare them through plain().
+ */
+
+'use strict';
+
+const { loadCore } = require('../tools/headless');
+
+/**
+ * A copy of a value made of this realm's objects, for deepStrictEqual
+ */
+function plain(value) {
+    return JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * An input state with the given buttons held
+ * @param {...string} buttons - 'left', 'right', 'up', 'down', 'action'
+ */
+function press(...buttons) {
+    const input = { left: false, right: false, up: false, down: false, action: false };
+    for (const button of buttons) input[button] = true;
+    return input;
+}
+
+/**
+ * A level with a floor and the given extra entities
+ */
+function makeLevel(entities = [], extra = {}) {
+    return Object.assign({
+        id: 'test-level',
+        name: 'Test',
+        spawnPoint: { x: 50, y: 536 },
+        entities: [
+            { type: 'wall', x: 0, y: 568, width: 800, height: 32 },
+            ...entities
+        ]
+    }, extra);
+}
+
+module.exports = { loadCore, plain, press, makeLevel };
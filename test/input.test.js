@@ -0,0 +1,88 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadCore, plain, press } = require('./helpers');
+
+// Stand-ins for the browser: pads are whatever the test puts in `pads`
+let pads = [];
+const navigator = { getGamepads: () => pads };
+const window = { addEventListener() {} };
+
+const { InputSystem, Bindings, SaveSystem } = loadCore({
+    scripts: ['save.js', 'bindings.js', 'touch-controls.js', 'input.js'],
+    exports: ['InputSystem', 'Bindings', 'SaveSystem'],
+    globals: { navigator, window }
+});
+SaveSystem.init(SaveSystem.createMemoryBackend());
+Bindings.init();
+
+/**
+ * A connected standard pad
+ * @param {Object} [options]
+ * @param {number[]} [options.buttons] - Indices of pressed buttons
+ * @param {number[]} [options.axes] - Left stick [x, y]
+ */
+function makePad({ buttons = [], axes = [0, 0] } = {}) {
+    return {
+        connected: true,
+        axes: axes,
+        buttons: Array.from({ length: 17 }, (_, i) => ({ pressed: buttons.includes(i) }))
+    };
+}
+
+test.beforeEach(() => {
+    pads = [];
+    InputSystem.reset();
+});
+
+test('no pads reads as nothing held', () => {
+    assert.deepStrictEqual(plain(InputSystem.getState()), press());
+});
+
+test('d-pad and face buttons map to inputs', () => {
+    pads = [makePad({ buttons: [14, 0, 1] })];
+    assert.deepStrictEqual(plain(InputSystem.pollGamepads()), press('left', 'up', 'action'));
+});
+
+test('the stick walks once past the radial deadzone', () => {
+    pads = [makePad({ axes: [0.25, 0] })];
+    assert.deepStrictEqual(plain(InputSystem.pollGamepads()), press());
+
+    pads = [makePad({ axes: [0.35, 0] })];
+    assert.deepStrictEqual(plain(InputSystem.pollGamepads()), press('right'));
+
+    // Each axis is inside the old per-axis deadzone, but the tilt is not
+    pads = [makePad({ axes: [-0.28, 0.2] })];
+    assert.deepStrictEqual(plain(InputSystem.pollGamepads()), press('left'));
+});
+
+test('pushing the stick up or diagonally never jumps', () => {
+    for (const axes of [[0, -1], [0.7, -0.7], [-0.7, -0.7], [0, 1]]) {
+        pads = [makePad({ axes: axes })];
+        const state = InputSystem.pollGamepads();
+        assert.equal(state.up, false, `axes ${axes}`);
+        assert.equal(state.down, false, `axes ${axes}`);
+    }
+
+    // Diagonals still walk; a mostly vertical tilt does not
+    pads = [makePad({ axes: [0.7, -0.7] })];
+    assert.equal(InputSystem.pollGamepads().right, true);
+    pads = [makePad({ axes: [0.3, -0.9] })];
+    assert.equal(InputSystem.pollGamepads().right, false);
+});
+
+test('pads are merged with each other and the keyboard', () => {
+    pads = [null, makePad({ buttons: [15] }), Object.assign(makePad({ buttons: [2] }), { connected: false })];
+    InputSystem.handleKeyDown({ code: 'KeyW' });
+
+    assert.deepStrictEqual(plain(InputSystem.getState()), press('right', 'up'));
+});
+
+test('pads plugged in or out are picked up on the next poll', () => {
+    pads = [makePad({ buttons: [0] })];
+    assert.equal(InputSystem.getState().up, true);
+
+    pads = [null];
+    assert.equal(InputSystem.getState().up, false);
+});
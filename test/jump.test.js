@@ -0,0 +1,159 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadCore, press, makeLevel } = require('./helpers');
+
+const { Simulation, CONFIG } = loadCore();
+
+/**
+ * A level whose jump settings are overridden (defaults when none given)
+ */
+function withJump(level, jump) {
+    return jump ? Object.assign(level, { jump: jump }) : level;
+}
+
+// ─── Determinism ────────────────────────────────────────────
+
+/**
+ * Walk, jump, short hop, run off a ledge into a coyote jump and buffer
+ * a jump before landing - the input for every tick of one loop
+ */
+function scriptedInput(tick) {
+    if (tick < 20) return press('right');
+    if (tick < 40) return press('right', 'up');
+    if (tick < 80) return press('left');
+    if (tick < 84) return press('up');
+    if (tick < 140) return press('right');
+    if (tick < 142) return press('right', 'up');
+    if (tick >= 180 && tick < 183) return press('up');
+    return tick % 50 < 25 ? press('left') : press('right');
+}
+
+function makeScriptLevel() {
+    return makeLevel([
+        { type: 'wall', x: 0, y: 400, width: 250, height: 20 },
+        { type: 'wall', x: 450, y: 480, width: 120, height: 88 }
+    ], { spawnPoint: { x: 100, y: 368 } });
+}
+
+test('the same inputs give the same state on every tick', () => {
+    const first = Simulation.create(makeScriptLevel(), { autoAdvance: false });
+    const second = Simulation.create(makeScriptLevel(), { autoAdvance: false });
+
+    for (let tick = 0; tick < 300; tick++) {
+        Simulation.tick(first, scriptedInput(tick));
+        Simulation.tick(second, scriptedInput(tick));
+        assert.equal(Simulation.hashState(first), Simulation.hashState(second), `tick ${tick}`);
+    }
+});
+
+test('a ghost jumps on the same ticks as the loop it recorded', () => {
+    const sim = Simulation.create(makeScriptLevel());
+    const path = [];
+    while (sim.loopIndex === 1) {
+        const tick = sim.localTick;
+        Simulation.tick(sim, scriptedInput(tick));
+        // The last tick ends the loop and puts the player back at the spawn
+        if (sim.loopIndex === 1) path.push(`${sim.player.x},${sim.player.y}`);
+    }
+
+    const ghost = sim.ghosts[0];
+    for (let tick = 0; tick < path.length; tick++) {
+        Simulation.tick(sim, press());
+        assert.equal(`${ghost.x},${ghost.y}`, path[tick], `tick ${tick}`);
+    }
+});
+
+// ─── Coyote time ────────────────────────────────────────────
+
+/**
+ * Walk right off a ledge and press jump `delay` ticks after leaving it
+ * @returns {boolean} Whether the press jumped
+ */
+function jumpsAfterLedge(delay, jump) {
+    const level = makeLevel([{ type: 'wall', x: 0, y: 400, width: 200, height: 20 }], {
+        spawnPoint: { x: 150, y: 368 }
+    });
+    const sim = Simulation.create(withJump(level, jump), { autoAdvance: false });
+
+    // Settle on the ledge first
+    for (let tick = 0; tick < 3; tick++) Simulation.tick(sim, press());
+    while (sim.player.grounded) Simulation.tick(sim, press('right'));
+
+    for (let tick = 0; tick < delay; tick++) Simulation.tick(sim, press('right'));
+    Simulation.tick(sim, press('right', 'up'));
+    return sim.player.vy < 0;
+}
+
+test('a jump works for coyoteTicks ticks after walking off a ledge', () => {
+    assert.equal(jumpsAfterLedge(0), true);
+    assert.equal(jumpsAfterLedge(CONFIG.COYOTE_TICKS - 1), true);
+    assert.equal(jumpsAfterLedge(CONFIG.COYOTE_TICKS), false);
+});
+
+test("a level's coyoteTicks sets the window", () => {
+    assert.equal(jumpsAfterLedge(1, { coyoteTicks: 2 }), true);
+    assert.equal(jumpsAfterLedge(2, { coyoteTicks: 2 }), false);
+    assert.equal(jumpsAfterLedge(0, { coyoteTicks: 0 }), false);
+});
+
+// ─── Jump buffer ────────────────────────────────────────────
+
+/**
+ * Fall onto the floor and tap jump `early` ticks before the landing tick
+ * @returns {boolean} Whether the player jumped on landing
+ */
+function jumpsOnLanding(early, jump) {
+    const level = withJump(makeLevel([], { spawnPoint: { x: 100, y: 300 } }), jump);
+
+    // A dry run finds the tick the fall lands on
+    const dry = Simulation.create(level, { autoAdvance: false });
+    let landing = 0;
+    while (!dry.player.grounded) {
+        Simulation.tick(dry, press());
+        landing++;
+    }
+
+    const sim = Simulation.create(level, { autoAdvance: false });
+    for (let tick = 0; tick < landing + 2; tick++) {
+        Simulation.tick(sim, tick === landing - 1 - early ? press('up') : press());
+        if (tick >= landing - 1 && sim.player.vy < 0) return true;
+    }
+    return false;
+}
+
+test('a jump pressed up to bufferTicks before landing still jumps', () => {
+    assert.equal(jumpsOnLanding(0), true);
+    assert.equal(jumpsOnLanding(CONFIG.JUMP_BUFFER_TICKS - 1), true);
+    assert.equal(jumpsOnLanding(CONFIG.JUMP_BUFFER_TICKS), false);
+});
+
+test("a level's bufferTicks sets the window", () => {
+    assert.equal(jumpsOnLanding(1, { bufferTicks: 2 }), true);
+    assert.equal(jumpsOnLanding(2, { bufferTicks: 2 }), false);
+    assert.equal(jumpsOnLanding(0, { bufferTicks: 0 }), false);
+});
+
+// ─── Short hops ─────────────────────────────────────────────
+
+/**
+ * Jump from the floor holding up for `hold` ticks
+ * @returns {number} Highest point reached (lowest y)
+ */
+function jumpPeak(hold, jump) {
+    const sim = Simulation.create(withJump(makeLevel([]), jump), { autoAdvance: false });
+    for (let tick = 0; tick < 3; tick++) Simulation.tick(sim, press());
+
+    let peak = sim.player.y;
+    for (let tick = 0; tick < 60; tick++) {
+        Simulation.tick(sim, tick < hold ? press('up') : press());
+        peak = Math.min(peak, sim.player.y);
+    }
+    return peak;
+}
+
+test('letting go of jump early gives a lower hop', () => {
+    assert.ok(jumpPeak(3) > jumpPeak(40));
+    assert.equal(jumpPeak(3, { cut: 1 }), jumpPeak(40, { cut: 1 }));
+});
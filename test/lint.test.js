@@ -0,0 +1,41 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadCore, plain, makeLevel } = require('./helpers');
+
+const { LevelLint, Levels } = loadCore();
+
+/**
+ * A level with a crate on the floor and the goal on a ledge `rise` px above it
+ */
+function makeLedgeLevel(rise) {
+    const top = 568 - rise;
+    return makeLevel([
+        { type: 'crate', x: 200, y: 544 },
+        { type: 'wall', x: 400, y: top, width: 200, height: 20 },
+        { type: 'goal', x: 500, y: top - 48 }
+    ]);
+}
+
+function reachWarnings(level) {
+    return LevelLint.lint(level).filter(finding => /can't reach/.test(finding.message));
+}
+
+test('a ledge within a jump is reachable', () => {
+    assert.equal(reachWarnings(makeLedgeLevel(130)).length, 0);
+});
+
+test('crates do not count towards jump height', () => {
+    const warnings = reachWarnings(makeLedgeLevel(150));
+
+    assert.equal(warnings.length, 1);
+    assert.equal(warnings[0].path, 'entities[3]');
+});
+
+test('every campaign level lints clean', () => {
+    Levels.data.forEach((level, index) => {
+        const findings = LevelLint.lint(Levels.getLevel(index));
+        assert.deepStrictEqual(plain(findings.map(finding => `${finding.path}: ${finding.message}`)), [], level.id);
+    });
+});
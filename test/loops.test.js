@@ -0,0 +1,98 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadCore, press, makeLevel } = require('./helpers');
+
+const { Simulation, Levels, CONFIG } = loadCore();
+
+/**
+ * Tick until the current loop ends
+ * @returns {Object[]} Events of the last tick
+ */
+function playLoop(sim, input) {
+    const loopIndex = sim.loopIndex;
+    let events = [];
+    while (!sim.levelComplete && sim.loopIndex === loopIndex && sim.localTick < CONFIG.LOOP_TICKS) {
+        events = Simulation.tick(sim, input);
+    }
+    return events;
+}
+
+function completion(events) {
+    return events.find(event => event.type === 'level-complete');
+}
+
+test('a plain run totals the ticks of its loops', () => {
+    const sim = Simulation.create(Levels.getLevel(0));
+    playLoop(sim, press());
+    const done = completion(playLoop(sim, press('right')));
+
+    assert.equal(done.loops, 2);
+    assert.equal(done.totalTicks, CONFIG.LOOP_TICKS + sim.recordings[1].endTick);
+});
+
+test('deleted loops do not count towards the total', () => {
+    const sim = Simulation.create(Levels.getLevel(0));
+    playLoop(sim, press());
+    Simulation.deleteLoop(sim, 0);
+    const done = completion(playLoop(sim, press('right')));
+
+    assert.equal(done.loops, 1);
+    assert.equal(done.totalTicks, sim.recordings[0].endTick);
+    assert.ok(done.totalTicks < CONFIG.LOOP_TICKS);
+});
+
+test('re-recorded and abandoned loops count only as recorded', () => {
+    const sim = Simulation.create(Levels.getLevel(0));
+    playLoop(sim, press());
+    playLoop(sim, press());
+
+    // Start over on loop 1, give up part way, then re-record it for real
+    Simulation.rerecordLoop(sim, 0);
+    for (let tick = 0; tick < 300; tick++) Simulation.tick(sim, press('left'));
+    Simulation.cancelRerecord(sim);
+    Simulation.rerecordLoop(sim, 0);
+    const done = completion(playLoop(sim, press('right')));
+
+    assert.equal(done.loops, 1);
+    assert.equal(sim.recordings.length, 1);
+    assert.equal(done.totalTicks, sim.recordings[0].endTick);
+});
+
+test('Simulation.run reports the same total as the recordings', () => {
+    const result = Simulation.run(Levels.getLevel(0), [[], Array(CONFIG.LOOP_TICKS).fill(press('right'))]);
+
+    assert.equal(result.levelComplete, true);
+    assert.equal(result.totalTicks, result.recordings.reduce((sum, r) => sum + r.endTick, 0));
+});
+
+test('a re-record that wins only with help from later loops does not complete the level', () => {
+    const level = makeLevel([
+        { type: 'switch', x: 150, y: 552, linkedDoorIndex: 0 },
+        { type: 'door', x: 400, y: 504, height: 64, linkedIndex: 0 },
+        { type: 'goal', x: 700, y: 520 }
+    ]);
+    const sim = Simulation.create(level);
+
+    // Loop 1 waits, loop 2 holds the switch, then loop 1 runs through the door
+    playLoop(sim, press());
+    while (sim.localTick < 22) Simulation.tick(sim, press('right'));
+    playLoop(sim, press());
+    Simulation.rerecordLoop(sim, 0);
+    const rerecorded = playLoop(sim, press('right'));
+
+    assert.equal(completion(rerecorded), undefined);
+    assert.equal(rerecorded.find(event => event.type === 'loop-end').winRejected, true);
+    assert.equal(sim.levelComplete, false);
+    assert.equal(sim.recordings.length, 2);
+    assert.equal(sim.recordings[0].reachedGoal, false);
+
+    // A new loop after them can finish, and that run replays
+    const done = completion(playLoop(sim, press('right')));
+    const replay = Simulation.run(level, sim.recordings);
+
+    assert.equal(done.loops, 3);
+    assert.equal(replay.levelComplete, true);
+    assert.equal(replay.totalTicks, done.totalTicks);
+});
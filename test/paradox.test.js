@@ -0,0 +1,86 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadCore, press, makeLevel } = require('./helpers');
+
+const { Simulation } = loadCore();
+
+// Solid ghosts, so the player can push a ghost off its path
+function makeParadoxLevel(mode) {
+    return makeLevel([{ type: 'goal', x: 700, y: 520 }], { solidGhosts: true, paradox: mode });
+}
+
+/**
+ * Play loop 1: wait, walk right for a second, then wait out the loop
+ */
+function playFirstLoop(sim) {
+    while (sim.loopIndex === 1) {
+        const tick = sim.localTick;
+        Simulation.tick(sim, tick >= 30 && tick < 90 ? press('right') : press());
+    }
+}
+
+/**
+ * Play until the loop ends, standing in loop 1's way: walk right briefly and stop
+ * @returns {Object[]} Every event raised
+ */
+function blockGhost(sim) {
+    const events = [];
+    let ended = false;
+    while (!ended) {
+        const tickEvents = Simulation.tick(sim, sim.localTick < 20 ? press('right') : press());
+        events.push(...tickEvents);
+        ended = tickEvents.some(event => event.type === 'loop-end');
+    }
+    return events;
+}
+
+test("a loop failed by a paradox is not kept as a ghost in 'fail' levels", () => {
+    const sim = Simulation.create(makeParadoxLevel('fail'));
+    playFirstLoop(sim);
+
+    for (let attempt = 0; attempt < 3; attempt++) {
+        const events = blockGhost(sim);
+        const end = events.find(event => event.type === 'loop-end');
+
+        assert.ok(events.some(event => event.type === 'paradox' && event.loopIndex === 1));
+        assert.equal(end.paradox, true);
+        assert.equal(sim.recordings.length, 1);
+        assert.equal(sim.loopIndex, 2);
+    }
+
+    // Loop 2 can still be played normally and win
+    let done = null;
+    while (!done) {
+        done = Simulation.tick(sim, press('right')).find(event => event.type === 'level-complete');
+    }
+    assert.equal(done.loops, 2);
+    assert.equal(sim.recordings.length, 2);
+});
+
+test('a failed re-record keeps the loop it was replacing', () => {
+    const sim = Simulation.create(makeParadoxLevel('fail'));
+    playFirstLoop(sim);
+    while (sim.loopIndex === 2) Simulation.tick(sim, press());
+    const original = sim.recordings[1];
+
+    Simulation.rerecordLoop(sim, 1);
+    blockGhost(sim);
+
+    assert.equal(sim.recordings[1], original);
+    assert.equal(sim.rerecordIndex, 1);
+    assert.equal(sim.loopIndex, 2);
+});
+
+test("paradoxes only highlight the ghost in 'highlight' levels", () => {
+    const sim = Simulation.create(makeParadoxLevel('highlight'));
+    playFirstLoop(sim);
+
+    const events = blockGhost(sim);
+    const end = events.find(event => event.type === 'loop-end');
+
+    assert.ok(events.some(event => event.type === 'paradox'));
+    assert.equal(end.paradox, false);
+    assert.equal(sim.recordings.length, 2);
+});
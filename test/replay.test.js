@@ -0,0 +1,89 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadCore, plain, press, makeLevel } = require('./helpers');
+
+const { ReplaySystem, Simulation, LevelFormat, CONFIG } = loadCore();
+
+/**
+ * A finished recording of the given inputs, with made-up state hashes
+ */
+function makeRecording(loopIndex, inputs, reachedGoal = false) {
+    const recording = ReplaySystem.createRecording(loopIndex);
+    inputs.forEach((input, tick) => ReplaySystem.recordTick(recording, tick, input));
+    for (const tick of ReplaySystem.getHashTicks(inputs.length)) {
+        ReplaySystem.recordHash(recording, (loopIndex * 0x10000 + tick).toString(16).padStart(8, '0'));
+    }
+    return ReplaySystem.finalizeRecording(recording, inputs.length, reachedGoal);
+}
+
+test('replays round-trip inputs, end ticks, flags and hashes', () => {
+    const level = makeLevel();
+    const recordings = [
+        makeRecording(1, [press('right'), press('right', 'up'), press(), press('action')]),
+        makeRecording(2, Array(50).fill(press('left')), true)
+    ];
+
+    const decoded = ReplaySystem.decodeReplay(ReplaySystem.exportRecordings(recordings, level), level);
+
+    assert.equal(decoded.error, null);
+    assert.equal(decoded.header.levelId, level.id);
+    assert.deepStrictEqual(plain(decoded.recordings.map(r => [r.loopIndex, r.endTick, r.reachedGoal, r.died])),
+        [[1, 4, false, false], [2, 50, true, false]]);
+    assert.deepStrictEqual(plain(decoded.recordings[0].inputs), plain(recordings[0].inputs));
+    assert.deepStrictEqual(plain(decoded.recordings.map(r => r.hashes)), plain(recordings.map(r => r.hashes)));
+});
+
+test('state hashes are taken every HASH_TICKS ticks and at the end', () => {
+    assert.deepStrictEqual(plain(ReplaySystem.getHashTicks(75)), [30, 60, 75]);
+    assert.deepStrictEqual(plain(ReplaySystem.getHashTicks(60)), [30, 60]);
+    assert.deepStrictEqual(plain(ReplaySystem.getHashTicks(0)), []);
+});
+
+test('recordings played by Simulation.run carry their hashes', () => {
+    const level = makeLevel();
+    const inputs = Array(CONFIG.LOOP_TICKS).fill(press('right'));
+    const first = Simulation.run(level, [inputs]).recordings[0];
+    const second = Simulation.run(level, [inputs]).recordings[0];
+
+    assert.equal(first.hashes.length, ReplaySystem.getHashTicks(first.endTick).length);
+    assert.deepStrictEqual(plain(first.hashes), plain(second.hashes));
+});
+
+test('recordings without hashes are not exported', () => {
+    const recording = makeRecording(1, [press('right')]);
+    recording.hashes = [];
+
+    assert.throws(() => ReplaySystem.exportRecordings([recording], makeLevel()), /no state hashes/);
+});
+
+test('edited replays fail the checksum', () => {
+    const level = makeLevel();
+    const text = ReplaySystem.exportRecordings([makeRecording(1, [press('right')])], level);
+    const bytes = Buffer.from(text, 'base64');
+    bytes[bytes.length - 6] ^= 1;
+
+    assert.match(ReplaySystem.decodeReplay(bytes.toString('base64'), level).error, /checksum/);
+});
+
+test('replays are rejected on a changed level', () => {
+    const level = makeLevel();
+    const text = ReplaySystem.exportRecordings([makeRecording(1, [press('right')])], level);
+    const changed = makeLevel([{ type: 'goal', x: 700, y: 520 }]);
+
+    assert.match(ReplaySystem.decodeReplay(text, changed).error, /has changed/);
+});
+
+test('level ids too long for the replay header are rejected', () => {
+    const level = makeLevel([], { id: 'x'.repeat(ReplaySystem.MAX_LEVEL_ID_BYTES + 1) });
+
+    assert.throws(() => ReplaySystem.exportRecordings([], level), /at most 255/);
+    assert.ok(LevelFormat.validateLevel(level).some(e => e.path === 'id'));
+
+    // Characters count as their UTF-8 length ('é' is 2 bytes)
+    assert.throws(() => ReplaySystem.exportRecordings([], makeLevel([], { id: 'é'.repeat(128) })), /at most 255/);
+    const longest = makeLevel([], { id: 'é'.repeat(127) });
+    const decoded = ReplaySystem.decodeReplay(ReplaySystem.exportRecordings([], longest), longest);
+    assert.equal(decoded.error, null);
+});
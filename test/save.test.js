@@ -0,0 +1,135 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadCore, plain, press } = require('./helpers');
+
+// Save problems are reported with console.warn; keep the test output clean
+const quiet = Object.assign({}, console, { warn() {}, error() {} });
+const { SaveSystem, Levels, ReplaySystem, fnv1a } = loadCore({
+    scripts: ['save.js'],
+    exports: ['SaveSystem', 'fnv1a'],
+    globals: { console: quiet }
+});
+
+/**
+ * A finished one-loop recording holding right for a few ticks
+ */
+function makeRecording(ticks = 10) {
+    const recording = ReplaySystem.createRecording(1);
+    for (let tick = 0; tick < ticks; tick++) {
+        ReplaySystem.recordTick(recording, tick, press('right'));
+    }
+    for (const tick of ReplaySystem.getHashTicks(ticks)) {
+        ReplaySystem.recordHash(recording, tick.toString(16).padStart(8, '0'));
+    }
+    return ReplaySystem.finalizeRecording(recording, ticks, true);
+}
+
+function initWith(stored) {
+    const backend = SaveSystem.createMemoryBackend();
+    if (stored !== undefined) {
+        backend.setItem(SaveSystem.STORAGE_KEY, typeof stored === 'string' ? stored : JSON.stringify(stored));
+    }
+    SaveSystem.init(backend);
+    return backend;
+}
+
+test('an empty backend gives the default save', () => {
+    initWith();
+    assert.deepStrictEqual(plain(SaveSystem.data), plain(SaveSystem.createDefault()));
+});
+
+test('progress survives a reload', () => {
+    const backend = initWith();
+    const level = Levels.data[0];
+
+    SaveSystem.unlock('level-2');
+    SaveSystem.recordClear(level, 1, 124, [makeRecording()]);
+    SaveSystem.setSetting('editorSnap', false);
+
+    SaveSystem.init(backend);
+    assert.equal(SaveSystem.data.unlocked['level-2'], true);
+    assert.deepStrictEqual(plain(SaveSystem.data.bests[level.id]), { loops: 1, ticks: 124 });
+    assert.equal(SaveSystem.getSetting('editorSnap'), false);
+    assert.equal(SaveSystem.getBestReplay(level).length, 1);
+});
+
+test('best loops and best ticks are kept separately', () => {
+    initWith();
+    const level = Levels.data[0];
+
+    SaveSystem.recordClear(level, 2, 100, [makeRecording(), makeRecording()]);
+    SaveSystem.recordClear(level, 1, 300, [makeRecording()]);
+
+    assert.deepStrictEqual(plain(SaveSystem.data.bests[level.id]), { loops: 1, ticks: 100 });
+    // The replay kept is the best run: fewest loops first
+    assert.equal(SaveSystem.getBestReplay(level).length, 1);
+});
+
+test('unreadable JSON is backed up and replaced', () => {
+    const backend = initWith('{not json');
+    assert.deepStrictEqual(plain(SaveSystem.data), plain(SaveSystem.createDefault()));
+    assert.equal(backend.getItem(SaveSystem.BACKUP_KEY), '{not json');
+});
+
+test('a save from a newer version is backed up, not read', () => {
+    const stored = { version: SaveSystem.VERSION + 1, unlocked: { 'level-2': true } };
+    const backend = initWith(stored);
+    assert.deepStrictEqual(plain(SaveSystem.data.unlocked), {});
+    assert.equal(backend.getItem(SaveSystem.BACKUP_KEY), JSON.stringify(stored));
+});
+
+test('bad entries are dropped and the rest is kept', () => {
+    initWith({
+        version: SaveSystem.VERSION,
+        unlocked: { 'level-2': true, 'level-3': 'yes' },
+        bests: { 'level-1': { loops: 1, ticks: 50 }, 'level-2': { loops: -1, ticks: 5 } },
+        replays: { 'level-1': 42 },
+        settings: { editorSnap: 'no', bindings: { jump: ['Space'], left: [1] } }
+    });
+
+    assert.deepStrictEqual(plain(SaveSystem.data.unlocked), { 'level-2': true });
+    assert.deepStrictEqual(plain(SaveSystem.data.bests), { 'level-1': { loops: 1, ticks: 50 } });
+    assert.deepStrictEqual(plain(SaveSystem.data.replays), {});
+    assert.equal(SaveSystem.getSetting('editorSnap'), true);
+    assert.deepStrictEqual(plain(SaveSystem.getSetting('bindings')), { jump: ['Space'] });
+});
+
+test('replays from an older replay version are dropped', () => {
+    const level = Levels.data[0];
+    const current = ReplaySystem.exportRecordings([makeRecording()], level);
+
+    // The same replay, re-signed with the previous version number
+    const bytes = Buffer.from(current, 'base64');
+    bytes[4] = ReplaySystem.REPLAY_VERSION - 1;
+    bytes.writeUInt32BE(fnv1a(bytes.subarray(0, bytes.length - 4)), bytes.length - 4);
+
+    initWith({
+        version: SaveSystem.VERSION,
+        bests: { [level.id]: { loops: 1, ticks: 10 }, 'level-2': { loops: 1, ticks: 10 } },
+        replays: { [level.id]: current, 'level-2': bytes.toString('base64') }
+    });
+
+    assert.deepStrictEqual(Object.keys(SaveSystem.data.replays), [level.id]);
+    assert.deepStrictEqual(Object.keys(SaveSystem.data.bests), [level.id, 'level-2']);
+});
+
+test('version 1 saves are migrated to the compact replay format', () => {
+    const level = Levels.data[0];
+    initWith({
+        version: 1,
+        unlocked: { 'level-2': true },
+        bests: { [level.id]: { loops: 1, ticks: 10 } },
+        replays: { [level.id]: JSON.stringify([plain(makeRecording())]), 'gone-level': '[]' },
+        settings: {}
+    });
+
+    assert.equal(SaveSystem.data.version, SaveSystem.VERSION);
+    assert.equal(SaveSystem.data.unlocked['level-2'], true);
+    assert.deepStrictEqual(Object.keys(SaveSystem.data.replays), [level.id]);
+
+    // Played again for its state hashes: the same inputs, as they play now
+    const replay = SaveSystem.getBestReplay(level);
+    assert.deepStrictEqual(plain(replay[0].inputs.slice(0, 10)), plain(makeRecording().inputs));
+});
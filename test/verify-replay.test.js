@@ -0,0 +1,91 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { loadCore, press, makeLevel } = require('./helpers');
+
+const { Simulation, ReplaySystem, LevelFormat, CONFIG } = loadCore();
+
+const TOOL = path.join(__dirname, '..', 'tools', 'verify-replay.js');
+
+// Solid ghosts, so loop 2 can push loop 1's ghost off its path
+const level = makeLevel([{ type: 'goal', x: 700, y: 520 }], { solidGhosts: true, paradox: 'fail' });
+
+/**
+ * Loop 1 walks right for a second and waits; loop 2 runs for the goal
+ * (through the ghost's path, behind it)
+ */
+function makeRun() {
+    const first = Array.from({ length: CONFIG.LOOP_TICKS }, (_, tick) => tick >= 30 && tick < 90 ? press('right') : press());
+    const second = Array(200).fill(press('right'));
+    return Simulation.run(level, [first, second]).recordings;
+}
+
+/**
+ * Run the verifier on recordings exported as a replay file
+ * @returns {{status: number, report: Object}}
+ */
+function verify(recordings) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'verify-replay-'));
+    try {
+        const levelFile = path.join(dir, 'level.json');
+        const replayFile = path.join(dir, 'replay.txt');
+        fs.writeFileSync(levelFile, LevelFormat.stringify(level));
+        fs.writeFileSync(replayFile, ReplaySystem.exportRecordings(recordings, level));
+
+        const result = spawnSync(process.execPath, [TOOL, replayFile, '--file', levelFile, '--json'], {
+            encoding: 'utf8',
+            timeout: 60000
+        });
+        return { status: result.status, report: JSON.parse(result.stdout) };
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+}
+
+test('a replay of a real run verifies', () => {
+    const recordings = makeRun();
+    assert.equal(recordings.length, 2);
+    assert.equal(recordings[1].reachedGoal, true);
+
+    const { status, report } = verify(recordings);
+
+    assert.equal(status, 0);
+    assert.equal(report.verified, true);
+    assert.equal(report.firstMismatch, null);
+    assert.equal(report.loops[1].hash, recordings[1].hashes[recordings[1].hashes.length - 1]);
+});
+
+test('the first mismatch is found between the hashes around it', () => {
+    const recordings = makeRun();
+
+    // A hop part way through loop 2; its end and flags stay the same
+    const changed = 70;
+    recordings[1].inputs[changed] = press('right', 'up');
+
+    const { status, report } = verify(recordings);
+
+    assert.equal(status, 1);
+    assert.equal(report.firstMismatch.loop, 2);
+    assert.ok(report.firstMismatch.from <= changed, `from ${report.firstMismatch.from}`);
+    assert.ok(report.firstMismatch.tick > changed, `tick ${report.firstMismatch.tick}`);
+    assert.ok(report.firstMismatch.tick - report.firstMismatch.from <= ReplaySystem.HASH_TICKS);
+});
+
+test('ghosts are checked against the loops as played, so paradoxes show', () => {
+    const recordings = makeRun();
+
+    // Loop 2 now walks into loop 1's path and stands there
+    recordings[1].inputs = recordings[1].inputs.map((input, tick) => tick < 20 ? press('right') : press());
+
+    const { status, report } = verify(recordings);
+
+    assert.equal(status, 1);
+    assert.equal(report.loops[1].paradox, true);
+    assert.match(report.loops[1].recorded, /reached goal/);
+    assert.equal(report.firstMismatch.loop, 2);
+});
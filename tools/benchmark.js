@@ -0,0 +1,179 @@
+#!/usr/bin/env node
+/**
+ * benchmark.js - Simulation speed with many ghosts
+ *
+ * Plays one full loop of a level with a crowd of ghosts (their inputs are
+ * random but seeded, so every run simulates the same thing) and reports
+ * simulation ticks per second. Without --level it runs every campaign level
+ * and a large generated stress level with lots of geometry and lasers.
+ *
+ * Usage:
+ *   node tools/benchmark.js [--ghosts 50] [--level N | --file level.json] [--runs 3]
+ */
+
+'use strict';
+
+const fs = require('fs');
+const { loadCore } = require('./headless');
+
+const { CONFIG, Levels, LevelFormat, ReplaySystem, Simulation } = loadCore();
+
+/**
+ * Parse command line flags into { ghosts, runs, level, file }
+ */
+function parseArgs(argv) {
+    const options = { ghosts: 50, runs: 3, level: null, file: null };
+
+    for (let i = 0; i < argv.length; i++) {
+        const value = argv[i + 1];
+        switch (argv[i]) {
+            case '--ghosts': options.ghosts = parseInt(value, 10); i++; break;
+            case '--runs': options.runs = parseInt(value, 10); i++; break;
+            case '--level': options.level = parseInt(value, 10); i++; break;
+            case '--file': options.file = value; i++; break;
+            default:
+                throw new Error(`Unknown argument ${argv[i]}`);
+        }
+    }
+
+    if (!(options.ghosts >= 0) || !(options.runs >= 1)) {
+        throw new Error('--ghosts and --runs must be numbers');
+    }
+    return options;
+}
+
+/**
+ * Small seeded PRNG (mulberry32), so ghost inputs are the same every run
+ */
+function createRandom(seed) {
+    return function () {
+        seed = (seed + 0x6D2B79F5) | 0;
+        let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * A full-length recording of random held inputs (runs of 10-60 ticks)
+ */
+function createRandomRecording(loopIndex, random) {
+    const recording = ReplaySystem.createRecording(loopIndex);
+    let input = null;
+    let hold = 0;
+
+    for (let tick = 0; tick < CONFIG.LOOP_TICKS; tick++) {
+        if (hold === 0) {
+            const direction = random();
+            input = {
+                left: direction < 0.4,
+                right: direction > 0.6,
+                up: random() < 0.3,
+                down: false,
+                action: random() < 0.1
+            };
+            hold = 10 + Math.floor(random() * 50);
+        }
+        ReplaySystem.recordTick(recording, tick, input);
+        hold--;
+    }
+
+    return ReplaySystem.finalizeRecording(recording, CONFIG.LOOP_TICKS, false);
+}
+
+/**
+ * A wide level packed with ledges, doors, switches and lasers
+ */
+function createStressLevel() {
+    const width = 2400;
+    const height = 1200;
+    const entities = [{ type: 'wall', x: 0, y: height - 32, width: width, height: 32 }];
+
+    for (let y = 160; y < height - 100; y += 160) {
+        for (let x = (y / 160) % 2 === 0 ? 0 : 80; x < width - 160; x += 240) {
+            entities.push({ type: 'wall', x: x, y: y, width: 128, height: 16 });
+        }
+    }
+    for (let i = 0; i < 8; i++) {
+        const x = 200 + i * 280;
+        entities.push({ type: 'switch', x: x, y: height - 52, linkedDoorIndex: i });
+        entities.push({ type: 'door', x: x + 120, y: height - 96, linkedIndex: i });
+        entities.push({ type: 'laser', x1: x + 60, y1: 100, x2: x + 60, y2: 600 });
+    }
+    entities.push({ type: 'goal', x: width - 80, y: height - 80 });
+
+    return {
+        id: 'stress',
+        name: 'Stress test',
+        world: { width: width, height: height },
+        spawnPoint: { x: 48, y: height - 64 },
+        entities: entities
+    };
+}
+
+/**
+ * Time one loop of a level with `ghosts` ghosts
+ * @returns {number} Ticks per second (best of `runs`)
+ */
+function benchmark(level, ghosts, runs) {
+    const random = createRandom(1);
+    const recordings = [];
+    for (let i = 0; i < ghosts; i++) {
+        recordings.push(createRandomRecording(i + 1, random));
+    }
+    const idle = { left: false, right: false, up: false, down: false, action: false };
+
+    let best = 0;
+    for (let run = 0; run < runs; run++) {
+        const sim = Simulation.create(level, { recordings: recordings, autoAdvance: false });
+
+        const start = process.hrtime.bigint();
+        while (!sim.loopEnded) {
+            Simulation.tick(sim, idle);
+        }
+        const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+
+        best = Math.max(best, sim.localTick / seconds);
+    }
+    return best;
+}
+
+function main() {
+    let options;
+    try {
+        options = parseArgs(process.argv.slice(2));
+    } catch (e) {
+        console.error(e.message);
+        console.error('Usage: node tools/benchmark.js [--ghosts 50] [--level N | --file level.json] [--runs 3]');
+        process.exit(2);
+    }
+
+    let levels;
+    if (options.file) {
+        const { level, errors } = LevelFormat.parse(fs.readFileSync(options.file, 'utf8'));
+        if (!level) {
+            console.error(`Invalid level file ${options.file}:\n${LevelFormat.formatErrors(errors)}`);
+            process.exit(1);
+        }
+        levels = [level];
+    } else if (options.level !== null) {
+        const level = Levels.getLevel(options.level - 1);
+        if (!level) {
+            console.error(`No level ${options.level}`);
+            process.exit(1);
+        }
+        levels = [level];
+    } else {
+        levels = [...Levels.data.map((def, i) => Levels.getLevel(i)), createStressLevel()];
+    }
+
+    console.log(`${options.ghosts} ghosts, best of ${options.runs} run(s), ${CONFIG.LOOP_TICKS} ticks per loop`);
+    for (const level of levels) {
+        const ticksPerSecond = benchmark(level, options.ghosts, options.runs);
+        const realtime = ticksPerSecond / CONFIG.TICK_RATE;
+        console.log(`  ${level.name.padEnd(24)} ${Math.round(ticksPerSecond).toString().padStart(8)} ticks/s` +
+            `  (${realtime.toFixed(1)}x real time)`);
+    }
+}
+
+main();
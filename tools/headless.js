@@ -0,0 +1,82 @@
+/**
+ * headless.js - Load the simulation core into Node, without a browser
+ *
+ * The game scripts are plain browser globals with no module system, so they
+ * are evaluated in one shared vm context, in the same order index.html loads
+ * them. Only the DOM-free scripts are loaded; input, rendering and the Game
+ * wrapper stay in the browser.
+ *
+ * Usage:
+ *   const { loadCore } = require('./headless');
+ *   const { Levels, Simulation } = loadCore();
+ *   const result = Simulation.run(Levels.getLevel(0), [inputs]);
+ *
+ * Tests can load more scripts on top of the core, with stand-ins for the
+ * browser globals they touch:
+ *   const { SaveSystem } = loadCore({ scripts: ['save.js'], exports: ['SaveSystem'] });
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const JS_DIR = path.join(__dirname, '..', 'js');
+
+// DOM-free scripts, in index.html load order (solver.js is only used by tools)
+const CORE_SCRIPTS = [
+    'utils.js',
+    'spatial-grid.js',
+    'physics.js',
+    'entities.js',
+    'signals.js',
+    'replay.js',
+    'levels.js',
+    'level-format.js',
+    'level-lint.js',
+    'simulation.js',
+    'solver.js'
+];
+
+// Globals handed back to the caller
+const CORE_GLOBALS = [
+    'CONFIG',
+    'Fixed',
+    'SpatialGrid',
+    'Physics',
+    'Entities',
+    'Signals',
+    'ReplaySystem',
+    'Levels',
+    'LevelFormat',
+    'LevelLint',
+    'Simulation',
+    'Solver'
+];
+
+/**
+ * Evaluate the core scripts in a fresh context
+ * @param {Object} [options]
+ * @param {string[]} [options.scripts] - More js/ files to load after the core
+ * @param {string[]} [options.exports] - Their globals to hand back as well
+ * @param {Object} [options.globals] - Extra context globals (e.g. a stub navigator)
+ * @returns {Object} The core globals (CONFIG, Levels, Simulation, ...)
+ */
+function loadCore(options = {}) {
+    // Browser globals the core relies on that Node also provides
+    const context = vm.createContext(Object.assign(
+        { console, btoa, atob, TextEncoder, TextDecoder, structuredClone },
+        options.globals
+    ));
+
+    for (const file of [...CORE_SCRIPTS, ...(options.scripts || [])]) {
+        const filename = path.join(JS_DIR, file);
+        vm.runInContext(fs.readFileSync(filename, 'utf8'), context, { filename });
+    }
+
+    const names = [...CORE_GLOBALS, ...(options.exports || [])];
+    return vm.runInContext(`({ ${names.join(', ')} })`, context);
+}
+
+module.exports = { loadCore, CORE_SCRIPTS };
@@ -0,0 +1,118 @@
+#!/usr/bin/env node
+/**
+ * lint-levels.js - Report problems in level data
+ *
+ * Runs LevelLint (js/level-lint.js) on the built-in levels, one of them, or
+ * level files, and prints every finding: validation errors, and warnings for
+ * things that load but probably don't work (unwired switches, doors inside
+ * walls, switches the player can't reach, ...). The editor's Lint button
+ * shows the same report.
+ *
+ * Exit code: 0 if there are no errors (and, with --strict, no warnings),
+ * 1 if there are, 2 on bad arguments or unreadable files.
+ *
+ * Usage:
+ *   node tools/lint-levels.js [--level N | level.json ...] [--strict] [--json]
+ */
+
+'use strict';
+
+const fs = require('fs');
+const { loadCore } = require('./headless');
+
+const { Levels, LevelLint } = loadCore();
+
+const USAGE = 'Usage: node tools/lint-levels.js [--level N | level.json ...] [--strict] [--json]';
+
+/**
+ * Parse command line flags into { level, files, strict, json }
+ */
+function parseArgs(argv) {
+    const options = { level: null, files: [], strict: false, json: false };
+
+    for (let i = 0; i < argv.length; i++) {
+        switch (argv[i]) {
+            case '--level': options.level = parseInt(argv[i + 1], 10); i++; break;
+            case '--strict': options.strict = true; break;
+            case '--json': options.json = true; break;
+            default:
+                if (argv[i].startsWith('--')) throw new Error(`Unknown argument ${argv[i]}`);
+                options.files.push(argv[i]);
+        }
+    }
+
+    if (options.level !== null && !(options.level >= 1)) {
+        throw new Error('--level must be a level number');
+    }
+    if (options.level !== null && options.files.length > 0) {
+        throw new Error('Give either --level or level files');
+    }
+    return options;
+}
+
+/**
+ * The levels to lint as [{ name, level }]
+ * @throws {Error} If a level can't be found or read
+ */
+function loadLevels(options) {
+    if (options.files.length > 0) {
+        return options.files.map(file => {
+            let doc;
+            try {
+                doc = JSON.parse(fs.readFileSync(file, 'utf8'));
+            } catch (e) {
+                throw new Error(`Can't read ${file}: ${e.message}`);
+            }
+            // Lint the file as it is, so its errors show up in the report
+            return { name: file, level: doc };
+        });
+    }
+
+    if (options.level !== null) {
+        if (!Levels.data[options.level - 1]) throw new Error(`No level ${options.level}`);
+        return [{ name: `level ${options.level}`, level: Levels.data[options.level - 1] }];
+    }
+
+    return Levels.data.map((level, i) => ({ name: `level ${i + 1}`, level: level }));
+}
+
+function main() {
+    let options;
+    let levels;
+    try {
+        options = parseArgs(process.argv.slice(2));
+        levels = loadLevels(options);
+    } catch (e) {
+        console.error(e.message);
+        console.error(USAGE);
+        process.exit(2);
+    }
+
+    const reports = levels.map(({ name, level }) => {
+        const findings = LevelLint.lint(level);
+        return {
+            name: name,
+            id: level && level.id,
+            errors: findings.filter(f => f.severity === 'error').length,
+            warnings: findings.filter(f => f.severity === 'warning').length,
+            findings: findings
+        };
+    });
+
+    if (options.json) {
+        console.log(JSON.stringify(reports, null, 2));
+    } else {
+        for (const report of reports) {
+            const title = report.id ? `${report.name} "${report.id}"` : report.name;
+            console.log(`${title}: ${report.errors} error(s), ${report.warnings} warning(s)`);
+            for (const line of LevelLint.format(report.findings).split('\n').filter(Boolean)) {
+                console.log(`  ${line}`);
+            }
+        }
+    }
+
+    const failed = reports.some(report => report.errors > 0 || (options.strict && report.warnings > 0));
+    process.exit(failed ? 1 : 0);
+}
+
+main();
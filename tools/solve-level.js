@@ -0,0 +1,147 @@
+#!/usr/bin/env node
+/**
+ * solve-level.js - Find out how many loops a level needs
+ *
+ * Runs Solver (js/solver.js) on a level and prints the solution with the
+ * fewest loops and the fastest one, each loop with how it ends. With --out
+ * the solutions are written as replay files, which the game can import and
+ * tools/verify-replay.js can check.
+ *
+ * The search is heuristic: "no solution found" means none within the
+ * limits, not that the level is impossible. Raise the limits to look harder.
+ *
+ * Exit code: 0 if a solution was found, 1 if not, 2 on bad arguments.
+ *
+ * Usage:
+ *   node tools/solve-level.js (--level N | --file level.json) [--out prefix]
+ *       [--max-loops 4] [--max-macros 4] [--max-nodes 400] [--beam 6]
+ *       [--max-ticks 2000000] [--fewest]
+ */
+
+'use strict';
+
+const fs = require('fs');
+const { loadCore } = require('./headless');
+
+const { Levels, LevelFormat, ReplaySystem, Simulation, Solver } = loadCore();
+
+const USAGE = 'Usage: node tools/solve-level.js (--level N | --file level.json) [--out prefix]\n' +
+    '    [--max-loops 4] [--max-macros 4] [--max-nodes 400] [--beam 6] [--max-ticks 2000000] [--fewest]';
+
+// Numeric flags -> Solver option names
+const LIMIT_FLAGS = {
+    '--max-loops': 'maxLoops',
+    '--max-macros': 'maxMacros',
+    '--max-nodes': 'maxNodes',
+    '--beam': 'beamWidth',
+    '--max-ticks': 'maxTicks'
+};
+
+/**
+ * Parse command line flags into { level, file, out, limits }
+ */
+function parseArgs(argv) {
+    const options = { level: null, file: null, out: null, limits: {} };
+
+    for (let i = 0; i < argv.length; i++) {
+        const flag = argv[i];
+        const value = argv[i + 1];
+
+        if (LIMIT_FLAGS[flag]) {
+            const number = parseInt(value, 10);
+            if (!(number >= 1)) throw new Error(`${flag} must be a positive number`);
+            options.limits[LIMIT_FLAGS[flag]] = number;
+            i++;
+            continue;
+        }
+
+        switch (flag) {
+            case '--level': options.level = parseInt(value, 10); i++; break;
+            case '--file': options.file = value; i++; break;
+            case '--out': options.out = value; i++; break;
+            case '--fewest': options.limits.stopAtFewest = true; break;
+            default:
+                throw new Error(`Unknown argument ${flag}`);
+        }
+    }
+
+    if ((options.level === null) === (options.file === null)) {
+        throw new Error('Give either --level or --file');
+    }
+    return options;
+}
+
+/**
+ * The level to solve
+ * @throws {Error} If it can't be found or loaded
+ */
+function loadLevel(options) {
+    if (options.file) {
+        const { level, errors } = LevelFormat.parse(fs.readFileSync(options.file, 'utf8'));
+        if (!level) {
+            throw new Error(`Invalid level file ${options.file}:\n${LevelFormat.formatErrors(errors)}`);
+        }
+        return level;
+    }
+
+    const level = Levels.getLevel(options.level - 1);
+    if (!level) throw new Error(`No level ${options.level}`);
+    return level;
+}
+
+function printSolution(title, solution) {
+    console.log(`${title}: ${solution.loops} loop(s), ${solution.totalTicks} ticks`);
+
+    for (const recording of solution.recordings) {
+        const end = recording.reachedGoal ? 'reaches the goal' : recording.died ? 'dies' : 'waits out the loop';
+        console.log(`  loop ${String(recording.loopIndex).padEnd(3)} ${end} at tick ${recording.endTick}`);
+    }
+}
+
+function main() {
+    let options;
+    let level;
+    try {
+        options = parseArgs(process.argv.slice(2));
+        level = loadLevel(options);
+    } catch (e) {
+        console.error(e.message);
+        console.error(USAGE);
+        process.exit(2);
+    }
+
+    console.log(`Solving "${level.name}"`);
+    const started = Date.now();
+    const result = Solver.solve(level, options.limits, progress => {
+        const seconds = ((Date.now() - started) / 1000).toFixed(1);
+        console.error(`  ${progress.loops} loop(s) searched: ${progress.nodes} plans, ` +
+            `${progress.ticks} ticks, ${progress.solutions} solution(s) (${seconds}s)`);
+    });
+
+    if (!result.fewestLoops) {
+        console.log(result.limited
+            ? 'No solution found within the search limits'
+            : 'No solution found (search finished)');
+        process.exit(1);
+    }
+
+    printSolution('Fewest loops', result.fewestLoops);
+    if (result.fastest !== result.fewestLoops) {
+        printSolution('Fastest', result.fastest);
+    }
+    if (result.limited) {
+        console.log('(search limits were reached; better solutions may exist)');
+    }
+
+    if (options.out) {
+        const files = { fewest: result.fewestLoops, fastest: result.fastest };
+        for (const name of Object.keys(files)) {
+            const filename = `${options.out}-${name}.txt`;
+            const run = Simulation.run(level, files[name].recordings);
+            fs.writeFileSync(filename, ReplaySystem.exportRecordings(run.recordings, level) + '\n');
+            console.log(`Wrote ${filename}`);
+        }
+    }
+}
+
+main();
@@ -0,0 +1,246 @@
+#!/usr/bin/env node
+/**
+ * verify-replay.js - Check that an exported replay really solves a level
+ *
+ * Decodes a replay (the text from ReplaySystem.exportRecordings) and plays
+ * its loops one after another in one simulation, each with the loops played
+ * before it as ghosts, exactly as the game would. Ghosts replay the loops as
+ * played here, positions included, so paradoxes are caught too. For each loop
+ * it reports how the loop ended and Simulation.hashState() at its last tick;
+ * the hashes are the same in every engine, so two people can compare them.
+ *
+ * A loop MISMATCHES when its state hashes differ from the ones in the replay
+ * (taken every ReplaySystem.HASH_TICKS ticks and at the loop's end). The first
+ * mismatch is reported with its loop and the ticks it diverged between: after
+ * the last hash that matched, at or before the first that didn't.
+ *
+ * Without --level or --file the level is looked up in Levels.data by the id
+ * stored in the replay.
+ *
+ * Exit code: 0 if the goal is reached with no mismatch, 1 if not, 2 if the
+ * arguments, level or replay can't be read.
+ *
+ * Usage:
+ *   node tools/verify-replay.js replay.txt [--level N | --file level.json] [--json]
+ */
+
+'use strict';
+
+const fs = require('fs');
+const { loadCore } = require('./headless');
+
+const { Levels, LevelFormat, ReplaySystem, Simulation } = loadCore();
+
+const USAGE = 'Usage: node tools/verify-replay.js replay.txt [--level N | --file level.json] [--json]';
+
+/**
+ * Parse command line flags into { replay, level, file, json }
+ */
+function parseArgs(argv) {
+    const options = { replay: null, level: null, file: null, json: false };
+
+    for (let i = 0; i < argv.length; i++) {
+        const value = argv[i + 1];
+        switch (argv[i]) {
+            case '--level': options.level = parseInt(value, 10); i++; break;
+            case '--file': options.file = value; i++; break;
+            case '--json': options.json = true; break;
+            default:
+                if (argv[i].startsWith('--') || options.replay !== null) {
+                    throw new Error(`Unknown argument ${argv[i]}`);
+                }
+                options.replay = argv[i];
+        }
+    }
+
+    if (options.replay === null) {
+        throw new Error('Missing replay file');
+    }
+    if (options.level !== null && !(options.level >= 1)) {
+        throw new Error('--level must be a level number');
+    }
+    return options;
+}
+
+/**
+ * The level to verify against: --file, --level, or the replay's level id
+ * @throws {Error} If it can't be found or loaded
+ */
+function resolveLevel(options, header) {
+    if (options.file) {
+        const { level, errors } = LevelFormat.parse(fs.readFileSync(options.file, 'utf8'));
+        if (!level) {
+            throw new Error(`Invalid level file ${options.file}:\n${LevelFormat.formatErrors(errors)}`);
+        }
+        return level;
+    }
+
+    if (options.level !== null) {
+        const level = Levels.getLevel(options.level - 1);
+        if (!level) throw new Error(`No level ${options.level}`);
+        return level;
+    }
+
+    const index = Levels.data.findIndex(def => def.id === header.levelId);
+    if (index < 0) {
+        throw new Error(`Replay is for level "${header.levelId}", which is not built in (use --file)`);
+    }
+    return Levels.getLevel(index);
+}
+
+/**
+ * How a loop ended, in words
+ */
+function describeEnd(end) {
+    if (end.paradox) return `paradox at tick ${end.endTick}`;
+    if (end.reachedGoal) return `reached goal at tick ${end.endTick}`;
+    if (end.died) return `died at tick ${end.endTick}`;
+    return `ended at tick ${end.endTick}`;
+}
+
+/**
+ * Play the next loop of a simulation with a recording's inputs
+ * @returns {{endTick: number, reachedGoal: boolean, died: boolean, paradox: boolean,
+ *     hash: string, played: Recording}}
+ */
+function playLoop(sim, recording) {
+    const idle = { left: false, right: false, up: false, down: false, action: false };
+    const played = sim.currentRecording;
+    let end = null;
+
+    while (!end) {
+        const events = Simulation.tick(sim, recording.inputs[sim.localTick] || idle);
+        end = events.find(event => event.type === 'loop-end');
+    }
+
+    return {
+        endTick: end.endTick,
+        reachedGoal: end.reachedGoal,
+        died: end.died,
+        paradox: end.paradox,
+        hash: played.hashes[played.hashes.length - 1],
+        played: played
+    };
+}
+
+/**
+ * Where a loop as played first differs from the replay, by state hash
+ * @returns {{from: number, tick: number}|null} It diverged after tick `from`
+ *     and by tick `tick`, or null if every hash matches
+ */
+function findDivergence(played, recording) {
+    const playedTicks = ReplaySystem.getHashTicks(played.endTick);
+    const recordedTicks = ReplaySystem.getHashTicks(recording.endTick);
+    let from = 0;
+
+    for (let i = 0; i < Math.max(playedTicks.length, recordedTicks.length); i++) {
+        const tick = Math.min(playedTicks[i] || Infinity, recordedTicks[i] || Infinity);
+        if (playedTicks[i] !== recordedTicks[i] || played.hashes[i] !== recording.hashes[i]) {
+            return { from: from, tick: tick };
+        }
+        from = tick;
+    }
+    return null;
+}
+
+/**
+ * Play every loop and compare each with what the replay recorded
+ * @returns {Object} Report (see printReport)
+ */
+function verify(level, recordings) {
+    const sim = Simulation.create(level, { hashes: true });
+    const loops = [];
+    let firstMismatch = null;
+    let totalTicks = 0;
+
+    for (let i = 0; i < recordings.length && !sim.levelComplete; i++) {
+        const recording = recordings[i];
+        const result = playLoop(sim, recording);
+        const divergence = findDivergence(result.played, recording);
+
+        loops.push({
+            loop: i + 1,
+            matches: !divergence,
+            recorded: describeEnd(recording),
+            endTick: result.endTick,
+            reachedGoal: result.reachedGoal,
+            died: result.died,
+            paradox: result.paradox,
+            hash: result.hash
+        });
+        totalTicks += result.endTick;
+
+        if (divergence && !firstMismatch) {
+            firstMismatch = Object.assign({ loop: i + 1 }, divergence);
+        }
+    }
+
+    const reachedGoal = sim.levelComplete;
+
+    return {
+        level: level.id,
+        reachedGoal: reachedGoal,
+        loops: loops,
+        loopCount: loops.length,
+        finalTick: totalTicks,
+        firstMismatch: firstMismatch,
+        verified: reachedGoal && !firstMismatch
+    };
+}
+
+function printReport(report) {
+    console.log(`Replay of "${report.level}", ${report.loopCount} loop(s)`);
+
+    for (const loop of report.loops) {
+        const line = `  loop ${String(loop.loop).padEnd(3)} ${describeEnd(loop).padEnd(28)} hash ${loop.hash}`;
+        console.log(loop.matches ? line : `${line}  MISMATCH (replay says ${loop.recorded})`);
+    }
+
+    console.log(report.reachedGoal
+        ? `Goal reached in ${report.loopCount} loop(s), final tick ${report.finalTick}`
+        : `Goal not reached (final tick ${report.finalTick})`);
+    if (report.firstMismatch) {
+        const { loop, from, tick } = report.firstMismatch;
+        console.log(`First mismatch: loop ${loop}, between tick ${from} and tick ${tick}`);
+    }
+    console.log(report.verified ? 'VERIFIED' : 'FAILED');
+}
+
+function main() {
+    let options;
+    try {
+        options = parseArgs(process.argv.slice(2));
+    } catch (e) {
+        console.error(e.message);
+        console.error(USAGE);
+        process.exit(2);
+    }
+
+    let level;
+    let recordings;
+    try {
+        const text = fs.readFileSync(options.replay, 'utf8');
+        const decoded = ReplaySystem.decodeReplay(text);
+        if (decoded.error) throw new Error(`Invalid replay: ${decoded.error}`);
+
+        level = resolveLevel(options, decoded.header);
+
+        // Decode again against the level, so a changed level is rejected
+        const checked = ReplaySystem.decodeReplay(text, level);
+        if (checked.error) throw new Error(`Replay doesn't match the level: ${checked.error}`);
+        recordings = checked.recordings;
+    } catch (e) {
+        console.error(e.message);
+        process.exit(2);
+    }
+
+    const report = verify(level, recordings);
+    if (options.json) {
+        console.log(JSON.stringify(report, null, 2));
+    } else {
+        printReport(report);
+    }
+    process.exit(report.verified ? 0 : 1);
+}
+
+main();